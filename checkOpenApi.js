@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Usage :
+//   npm run openapi:check   échoue si une route /api de l'application manque dans la spécification
+//                           (ou si la spécification décrit une route qui n'existe plus)
+
+// Charger l'application ouvre la base : une base vide dans un dossier temporaire (comme smoke:check)
+// évite de migrer la base de développement
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp2-openapi-'));
+Object.assign(process.env, {
+  DB_PATH: path.join(tmpDir, 'cars.db'),
+  UPLOADS_DIR: path.join(tmpDir, 'uploads'),
+  LOG_LEVEL: 'warn',
+  LOG_FILE: '',
+});
+
+const app = require('./index');
+const { openApiSpec, listSpecOperations } = require('./utils/openapi');
+
+// Supprime le dossier temporaire puis termine le processus
+function exit(code) {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(code);
+}
+
+// Routes "MÉTHODE /chemin" déclarées dans l'application Express
+function listAppOperations() {
+  return app.router.stack
+    .filter((layer) => layer.route && layer.route.path.startsWith('/api/'))
+    .flatMap((layer) => Object.keys(layer.route.methods)
+      .map((method) => `${method.toUpperCase()} ${layer.route.path}`));
+}
+
+// Références internes (#/components/...) qui ne pointent vers rien
+function listBrokenRefs(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => listBrokenRefs(item, found));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') {
+      const target = node.$ref.replace(/^#\//, '').split('/')
+        .reduce((current, key) => (current ? current[key] : undefined), openApiSpec);
+      if (!target) found.push(node.$ref);
+    }
+    Object.values(node).forEach((value) => listBrokenRefs(value, found));
+  }
+  return found;
+}
+
+const appOperations = listAppOperations();
+const specOperations = listSpecOperations();
+
+const problems = [
+  ...appOperations
+    .filter((operation) => !specOperations.includes(operation))
+    .map((operation) => `Route absente de la spécification : ${operation}`),
+  ...specOperations
+    .filter((operation) => !appOperations.includes(operation))
+    .map((operation) => `Route décrite mais inexistante : ${operation}`),
+  ...[...new Set(listBrokenRefs(openApiSpec))]
+    .map((reference) => `Référence introuvable : ${reference}`),
+];
+
+if (problems.length) {
+  problems.forEach((problem) => console.error(`❌  ${problem}`));
+  console.error(`\n${problems.length} problème(s) dans utils/openapi.js`);
+  exit(1);
+}
+
+console.log(`✅  Spécification OpenAPI à jour (${appOperations.length} routes décrites)`);
+exit(0);
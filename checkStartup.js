@@ -0,0 +1,125 @@
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Usage :
+//   npm run smoke:check   démarre le serveur sur une base vide (dossier temporaire), crée une voiture
+//                         avec une clé admin puis la retrouve par la recherche plein texte
+
+// Délai maximal de démarrage du serveur
+const STARTUP_TIMEOUT_MS = 15 * 1000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp2-smoke-'));
+const env = {
+  ...process.env,
+  DB_PATH: path.join(tmpDir, 'cars.db'),
+  UPLOADS_DIR: path.join(tmpDir, 'uploads'),
+  LOG_LEVEL: 'warn',
+  LOG_FILE: '',
+};
+
+// Port libre choisi par le système
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Démarre "node index.js" et attend le message de démarrage (ou l'arrêt du processus)
+function startServer(port) {
+  const server = spawn(process.execPath, ['index.js'], {
+    cwd: __dirname,
+    env: { ...env, PORT: String(port) },
+  });
+  let output = '';
+
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Serveur non démarré après ${STARTUP_TIMEOUT_MS} ms`)), STARTUP_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Serveur démarré')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Le serveur s'est arrêté (code ${code})`));
+    });
+  });
+
+  return { server, ready, getOutput: () => output };
+}
+
+// Requête JSON vers le serveur ; échoue si le statut n'est pas celui attendu
+async function request(baseUrl, apiKey, method, url, expectedStatus, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await response.json();
+  if (response.status !== expectedStatus) {
+    throw new Error(`${method} ${url} : statut ${response.status} au lieu de ${expectedStatus} (${JSON.stringify(json)})`);
+  }
+  return json;
+}
+
+async function main() {
+  // Clé admin créée par la commande npm run keys:create (applique aussi les migrations sur la base vide)
+  const keyOutput = execFileSync(process.execPath, ['createApiKey.js', 'Smoke test', 'admin'], {
+    cwd: __dirname,
+    env,
+    encoding: 'utf8',
+  });
+  const apiKey = keyOutput.match(/^\s+(\S+)$/m)[1];
+
+  const port = await findFreePort();
+  const { server, ready, getOutput } = startServer(port);
+  const baseUrl = `http://localhost:${port}`;
+
+  try {
+    await ready;
+
+    const created = await request(baseUrl, apiKey, 'POST', '/api/cars', 201, {
+      brand: 'Alpine',
+      model: 'A110',
+      year: 1972,
+      description: 'Berlinette du rallye de Monte-Carlo',
+    });
+    const { data: car } = await request(baseUrl, apiKey, 'GET', `/api/cars/${created.data.id}`, 200);
+    if (!car.updated_at || car.version !== 1) {
+      throw new Error(`Voiture créée incomplète : ${JSON.stringify(car)}`);
+    }
+
+    const search = await request(baseUrl, apiKey, 'GET', '/api/cars/search?q=berlinette', 200);
+    if (!search.data.some((result) => result.id === car.id)) {
+      throw new Error('La voiture créée est absente de la recherche plein texte');
+    }
+  } catch (error) {
+    console.error(getOutput());
+    throw error;
+  } finally {
+    server.kill();
+  }
+}
+
+main()
+  .then(() => {
+    console.log('✅  Démarrage sur une base vide et création d\'une voiture réussis');
+  })
+  .catch((error) => {
+    console.error(`❌  ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
@@ -0,0 +1,106 @@
+const database = require('../database');
+const { validate, ERROR_CODES } = require('../utils/validation');
+const { SCOPES, createApiKey, formatApiKey } = require('../utils/apiKeys');
+const { translate } = require('../utils/i18n');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const apiKeySchema = {
+  label: { type: 'string', required: true, maxLength: 100 },
+};
+
+// Valide les portées et la date d'expiration (types non couverts par le schéma), messages dans la langue lang
+function validateKeyOptions({ scopes, expiresAt }, lang) {
+  const errors = [];
+
+  if (!Array.isArray(scopes) || !scopes.length) {
+    errors.push({
+      field: 'scopes',
+      code: ERROR_CODES.REQUIRED,
+      message: translate(lang, 'api_keys.scopes_required', { scopes: SCOPES.join(', ') }),
+    });
+  } else if (scopes.some((scope) => !SCOPES.includes(scope))) {
+    errors.push({
+      field: 'scopes',
+      code: ERROR_CODES.INVALID_TYPE,
+      message: translate(lang, 'api_keys.invalid_scopes', { scopes: SCOPES.join(', ') }),
+    });
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push({
+        field: 'expiresAt',
+        code: ERROR_CODES.INVALID_TYPE,
+        message: translate(lang, 'api_keys.invalid_expires_at'),
+      });
+    } else if (date <= new Date()) {
+      errors.push({
+        field: 'expiresAt',
+        code: ERROR_CODES.TOO_SMALL,
+        message: translate(lang, 'api_keys.expires_at_past'),
+      });
+    }
+  }
+
+  return errors;
+}
+
+// GET - Lister les clés API (sans les empreintes)
+exports.getAllKeys = async (req, res) => {
+  const rows = await database.all('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC');
+
+  res.json({
+    success: true,
+    message: req.t('api_keys.listed'),
+    count: rows.length,
+    data: rows.map(formatApiKey),
+  });
+};
+
+// POST - Émettre une nouvelle clé API (la clé en clair n'est renvoyée qu'une seule fois)
+exports.createKey = async (req, res) => {
+  const body = req.body || {};
+  const { value, errors } = validate(apiKeySchema, body, { lang: req.lang });
+  errors.push(...validateKeyOptions(body, req.lang));
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  const expiresAt = body.expiresAt ? new Date(body.expiresAt).toISOString() : null;
+  const created = await createApiKey({ label: value.label, scopes: [...new Set(body.scopes)], expiresAt });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('api_keys.created'),
+    data: { ...created.apiKey, key: created.key },
+  });
+};
+
+// DELETE - Révoquer une clé API (elle reste listée pour l'historique)
+exports.revokeKey = async (req, res) => {
+  const { id } = req.params;
+  const row = await database.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+  if (!row) {
+    throw new NotFoundError('api_key_not_found', { messageKey: 'api_keys.not_found', params: { id } });
+  }
+
+  if (row.revoked_at) {
+    return res.json({
+      success: true,
+      message: req.t('api_keys.already_revoked'),
+      data: formatApiKey(row),
+    });
+  }
+
+  await database.run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  const revoked = await database.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+  res.json({
+    success: true,
+    message: req.t('api_keys.revoked'),
+    data: formatApiKey(revoked),
+  });
+};
@@ -0,0 +1,90 @@
+const database = require('../database');
+const { buildPagination } = require('../utils/carQuery');
+const { formatAuditEntry } = require('../utils/audit');
+const { translate } = require('../utils/i18n');
+const { InvalidParametersError } = require('../utils/errors');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const ACTOR_TYPES = ['api_key', 'user'];
+
+// Construit la clause WHERE du journal à partir des filtres de la query string (erreurs dans la langue lang)
+function buildAuditFilters(query, lang) {
+  const conditions = [];
+  const params = [];
+  const errors = [];
+
+  ['from', 'to'].forEach((key) => {
+    if (!query[key]) return;
+
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(translate(lang, 'audit.invalid_date', { key }));
+      return;
+    }
+    conditions.push(key === 'from' ? 'created_at >= datetime(?)' : 'created_at <= datetime(?)');
+    params.push(date.toISOString());
+  });
+
+  if (query.actor) {
+    conditions.push('actor_label = ? COLLATE NOCASE');
+    params.push(String(query.actor));
+  }
+
+  if (query.actorType) {
+    if (!ACTOR_TYPES.includes(query.actorType)) {
+      errors.push(translate(lang, 'audit.invalid_actor_type', { values: ACTOR_TYPES.join(', ') }));
+    } else {
+      conditions.push('actor_type = ?');
+      params.push(query.actorType);
+    }
+  }
+
+  if (query.action) {
+    if (!ACTIONS.includes(query.action)) {
+      errors.push(translate(lang, 'audit.invalid_action', { values: ACTIONS.join(', ') }));
+    } else {
+      conditions.push('action = ?');
+      params.push(query.action);
+    }
+  }
+
+  if (query.carId) {
+    conditions.push('car_id = ?');
+    params.push(Number(query.carId));
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    errors,
+  };
+}
+
+// GET - Journal global des modifications (filtres : from, to, actor, actorType, action, carId)
+exports.getAuditLog = async (req, res) => {
+  const filters = buildAuditFilters(req.query, req.lang);
+  const { page, limit, offset, errors: paginationErrors } = buildPagination(req.query, req.lang);
+  const errors = [...filters.errors, ...paginationErrors];
+
+  if (errors.length) {
+    throw new InvalidParametersError({ detail: errors.join('. ') });
+  }
+
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM car_audit ${filters.where}`, filters.params);
+  const query = `
+    SELECT * FROM car_audit ${filters.where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `;
+  const rows = await database.all(query, [...filters.params, limit, offset]);
+
+  res.json({
+    success: true,
+    message: req.t('audit.listed'),
+    count: rows.length,
+    total,
+    page,
+    limit,
+    data: rows.map(formatAuditEntry),
+  });
+};
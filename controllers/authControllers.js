@@ -0,0 +1,64 @@
+const database = require('../database');
+const {
+  SESSION_COOKIE,
+  SESSION_TTL_SECONDS,
+  DUMMY_PASSWORD_HASH,
+  verifyPassword,
+  createSessionToken,
+  sessionCookieOptions,
+} = require('../utils/auth');
+const { formatUser } = require('../utils/users');
+const { ValidationError, UnauthorizedError } = require('../utils/errors');
+
+// POST - Connexion : vérifie les identifiants et ouvre une session
+exports.login = async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+    throw new ValidationError([], { messageKey: 'auth.credentials_required' });
+  }
+
+  const row = await database.get('SELECT * FROM users WHERE email = ?', [email.trim()]);
+
+  // Le hachage est calculé même si l'email est inconnu (temps de réponse identique)
+  const passwordMatches = await verifyPassword(password, row ? row.password_hash : DUMMY_PASSWORD_HASH);
+
+  if (!row || !passwordMatches) {
+    throw new UnauthorizedError({ messageKey: 'auth.invalid_credentials' });
+  }
+
+  const token = createSessionToken(row);
+  res.cookie(SESSION_COOKIE, token, {
+    ...sessionCookieOptions(req),
+    maxAge: SESSION_TTL_SECONDS * 1000,
+  });
+
+  res.json({
+    success: true,
+    message: req.t('auth.logged_in'),
+    data: {
+      user: formatUser(row),
+      token,
+      expiresIn: SESSION_TTL_SECONDS,
+    },
+  });
+};
+
+// POST - Déconnexion : supprime le cookie de session
+exports.logout = (req, res) => {
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req));
+
+  res.json({
+    success: true,
+    message: req.t('auth.logged_out'),
+  });
+};
+
+// GET - Utilisateur (ou clé API) actuellement authentifié
+exports.me = (req, res) => {
+  res.json({
+    success: true,
+    message: req.t('auth.current_user'),
+    data: req.user || { apiKey: req.apiKey },
+  });
+};
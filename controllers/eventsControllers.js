@@ -0,0 +1,51 @@
+const { carEventsSince, subscribeToCarEvents, getLastCarEventId } = require('../utils/carEvents');
+const { InvalidParametersError } = require('../utils/errors');
+
+// Commentaire envoyé régulièrement pour que les proxys ne coupent pas une connexion inactive
+const HEARTBEAT_MS = 25 * 1000;
+
+// Délai de reconnexion automatique indiqué au navigateur
+const RETRY_MS = 3000;
+
+// Met en forme un événement au format text/event-stream
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// GET - Flux Server-Sent Events des modifications (car.created, car.updated, car.deleted)
+// Last-Event-ID (header ou ?lastEventId=) : renvoie les événements manqués depuis cet ID,
+// ou un événement "resync" s'ils ne sont plus disponibles (le client recharge alors tout)
+exports.streamCarEvents = (req, res) => {
+  const lastEventIdHeader = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const lastEventId = Number(lastEventIdHeader);
+
+  if (lastEventIdHeader !== undefined && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+    throw new InvalidParametersError({ messageKey: 'events.invalid_last_event_id' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Pas de mise en tampon par nginx (Render)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (lastEventIdHeader !== undefined) {
+    const { events, complete } = carEventsSince(lastEventId);
+    if (complete) {
+      events.forEach((event) => res.write(formatEvent(event)));
+    } else {
+      res.write(formatEvent({ id: getLastCarEventId(), type: 'resync', data: {} }));
+    }
+  }
+
+  const unsubscribe = subscribeToCarEvents((event) => res.write(formatEvent(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,116 @@
+const database = require('../database');
+const { parseCarListQuery, buildKeysetCondition } = require('../utils/carQuery');
+const { formatCsvRow } = require('../utils/csv');
+const { InvalidParametersError } = require('../utils/errors');
+const { logger, serializeError } = require('../utils/logger');
+
+// Nombre de voitures lues en base à la fois
+const EXPORT_PAGE_SIZE = 500;
+
+// Colonnes exportées (dans l'ordre des colonnes du CSV). Elles contiennent les colonnes du tri
+// qui servent à reprendre la lecture (deleted_at, seule absente, vaut NULL pour toutes les voitures exportées)
+const EXPORT_COLUMNS = ['id', 'brand', 'model', 'year', 'color', 'price', 'mileage', 'description', 'created_at'];
+
+// Format => type MIME, début et fin du fichier, écriture d'une ligne
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    // BOM : Excel détecte ainsi l'UTF-8 (accents)
+    open: () => `\uFEFF${formatCsvRow(EXPORT_COLUMNS)}`,
+    row: (car) => formatCsvRow(EXPORT_COLUMNS.map((column) => car[column])),
+    close: () => '',
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    open: () => '[',
+    row: (car, index) => `${index ? ',' : ''}\n${JSON.stringify(car)}`,
+    close: (count) => (count ? '\n]\n' : ']\n'),
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    open: () => '',
+    row: (car) => `${JSON.stringify(car)}\n`,
+    close: () => '',
+  },
+};
+
+// Attend que le tampon d'envoi se vide (client lent) ou que la connexion se ferme
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// GET - Exporter les voitures (mêmes filtres et tri que la liste, sans pagination)
+// Les voitures sont lues par pages et écrites au rythme du client, sans tout charger en mémoire.
+// Chaque page reprend après la dernière voiture envoyée (tri + id) : pas de ligne sautée ni répétée
+// si des voitures sont ajoutées ou supprimées pendant l'export
+exports.exportCars = async (req, res) => {
+  const formatName = req.query.format || 'csv';
+  const format = FORMATS[formatName];
+
+  if (!format) {
+    throw new InvalidParametersError({
+      messageKey: 'export.unknown_format',
+      params: { format: formatName, formats: Object.keys(FORMATS).join(', ') },
+    });
+  }
+
+  const { where, params, orderBy, sort, errors } = parseCarListQuery(req.query, { paginate: false, lang: req.lang });
+
+  if (errors.length) {
+    throw new InvalidParametersError({ detail: errors.join('. ') });
+  }
+
+  const filename = `voitures-${new Date().toISOString().slice(0, 10)}.${formatName}`;
+  let count = 0;
+
+  // Les en-têtes ne sont envoyés qu'à la première ligne (ou à la fin) :
+  // une erreur SQL immédiate peut encore renvoyer une réponse d'erreur complète
+  const start = () => {
+    if (res.headersSent) return;
+    res.attachment(filename);
+    res.type(format.contentType);
+    res.write(format.open());
+  };
+
+  try {
+    let page = [];
+    do {
+      // Page suivante lue seulement quand le client a reçu la précédente (aucune lecture en attente
+      // ne bloque la base pendant ce temps)
+      const keyset = page.length ? buildKeysetCondition(sort, page[page.length - 1]) : null;
+      const condition = keyset ? `${where} AND ${keyset.condition}` : where;
+      page = await database.all(
+        `SELECT ${EXPORT_COLUMNS.join(', ')} FROM cars ${condition} ${orderBy} LIMIT ?`,
+        [...params, ...(keyset ? keyset.params : []), EXPORT_PAGE_SIZE],
+      );
+
+      page.forEach((car) => {
+        start();
+        res.write(format.row(car, count));
+        count += 1;
+      });
+
+      if (!res.destroyed && res.writableNeedDrain) await waitForDrain(res);
+
+      // Client parti : les lignes restantes ne sont pas lues
+      if (res.destroyed) return;
+    } while (page.length === EXPORT_PAGE_SIZE);
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    // Fichier déjà partiellement envoyé : on coupe la connexion pour signaler l'échec
+    logger.error('Export interrompu', { request_id: req.id, error: serializeError(err) });
+    res.destroy(err);
+    return;
+  }
+
+  start();
+  res.end(format.close(count));
+};
@@ -0,0 +1,132 @@
+const database = require('../database');
+const { validate, coerce } = require('../utils/validation');
+const { carSchema } = require('../utils/carSchema');
+const { parseCsv } = require('../utils/csv');
+const { recordAudit } = require('../utils/audit');
+const { publishCarEvent } = require('../utils/carEvents');
+const { ValidationError } = require('../utils/errors');
+
+// Nombre maximal de lignes par import
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Extrait les lignes à importer du corps de la requête
+ * - JSON : tableau d'objets voiture (types stricts, comme POST /api/cars)
+ * - CSV : ligne d'en-tête avec les noms de champs (brand, model, year...), valeurs converties
+ * @returns {{ rows: Array<{ row: number, line?: number, data: Object }>, error?: string }} error : clé du message
+ */
+function readImportRows(req) {
+  if (req.is('text/csv') || req.is('text/plain')) {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return { error: 'import.csv_empty' };
+    }
+
+    const records = parseCsv(req.body);
+    return {
+      rows: records.map(({ line, record }, index) => ({
+        row: index + 1,
+        line,
+        data: coerce(carSchema, record),
+      })),
+    };
+  }
+
+  if (Array.isArray(req.body)) {
+    return {
+      rows: req.body.map((data, index) => ({ row: index + 1, data })),
+    };
+  }
+
+  return { error: 'import.invalid_body' };
+}
+
+/**
+ * Insère les voitures acceptées dans une seule transaction (tout ou rien), historique compris.
+ * Les autres requêtes attendent la fin de la transaction (voir database.transaction).
+ * @param {Object} req - Requête Express (auteur inscrit dans l'historique)
+ * @param {Array<Object>} cars - Voitures validées
+ * @returns {Promise<Array<number>>} IDs des voitures créées (dans l'ordre de cars)
+ */
+function insertCarsInTransaction(req, cars) {
+  const query = `
+    INSERT INTO cars (brand, model, year, color, price, mileage, description, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `;
+
+  return database.transaction(async (transaction) => {
+    // Instructions envoyées d'un bloc ; allSettled attend qu'elles soient toutes terminées avant un ROLLBACK
+    const results = await Promise.allSettled(cars.map(async (car) => {
+      const { brand, model, year, color, price, mileage, description } = car;
+      const { lastID } = await transaction.run(query, [brand, model, year, color, price, mileage, description]);
+      await recordAudit(req, { carId: lastID, action: 'create', before: null, after: car }, transaction);
+      return lastID;
+    }));
+
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    return results.map((result) => result.value);
+  });
+}
+
+// POST - Importer des voitures en masse (CSV ou tableau JSON), ?dryRun=true pour valider sans écrire
+exports.importCars = async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const { rows, error } = readImportRows(req);
+
+  if (error) {
+    throw new ValidationError([], { messageKey: error });
+  }
+
+  if (!rows.length) {
+    throw new ValidationError([], { messageKey: 'import.no_rows' });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([], {
+      messageKey: 'import.too_many_rows',
+      params: { max: MAX_IMPORT_ROWS, count: rows.length },
+    });
+  }
+
+  // Mêmes règles que POST /api/cars pour chaque ligne
+  const report = rows.map(({ row, line, data }) => {
+    const { value, errors } = validate(carSchema, data, { lang: req.lang });
+    return errors.length
+      ? { row, line, status: 'rejected', errors }
+      : { row, line, status: 'accepted', data: value };
+  });
+
+  const accepted = report.filter((entry) => entry.status === 'accepted');
+  const summary = {
+    dryRun,
+    total: report.length,
+    accepted: accepted.length,
+    rejected: report.length - accepted.length,
+  };
+
+  if (dryRun || !accepted.length) {
+    return res.json({
+      success: true,
+      message: req.t(dryRun ? 'import.dry_run' : 'import.nothing_valid'),
+      ...summary,
+      imported: 0,
+      report,
+    });
+  }
+
+  const ids = await insertCarsInTransaction(req, accepted.map((entry) => entry.data));
+
+  // Événements publiés après la validation de la transaction : jamais pour un import annulé
+  accepted.forEach((entry, index) => {
+    entry.data = { id: ids[index], ...entry.data };
+    publishCarEvent(req, 'car.created', { ...entry.data, version: 1 });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('import.imported', { count: accepted.length }),
+    ...summary,
+    imported: accepted.length,
+    report,
+  });
+};
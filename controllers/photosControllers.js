@@ -0,0 +1,202 @@
+const multer = require('multer');
+const database = require('../database');
+const {
+  PHOTO_TYPES,
+  MAX_PHOTO_SIZE,
+  MAX_PHOTOS_PER_UPLOAD,
+  uploadPhotos,
+  hasImageSignature,
+  removePhotoFiles,
+  COVER_PHOTO_COLUMN,
+  withCoverUrl,
+  formatPhoto,
+} = require('../utils/photos');
+const { publishCarEvent } = require('../utils/carEvents');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+
+// 400 (413 pour une photo trop lourde) : fichier envoyé refusé
+// options : { messageKey, params }, ou { detail } pour un message de multer non traduit
+function photoRejected(options, status = 400) {
+  return new AppError(status, 'photo_rejected', options);
+}
+
+// Vérifie que la voiture existe (hors corbeille) avant de toucher à ses photos
+async function findCar(id) {
+  const car = await database.get('SELECT id FROM cars WHERE id = ? AND deleted_at IS NULL', [id]);
+  if (!car) {
+    throw new NotFoundError('car_not_found', { messageKey: 'messages.car_not_found', params: { id } });
+  }
+  return car;
+}
+
+// Photo d'une voiture ou erreur 404
+async function findPhoto(car, photoId, columns = 'id') {
+  const photo = await database.get(`SELECT ${columns} FROM car_photos WHERE id = ? AND car_id = ?`, [photoId, car.id]);
+  if (!photo) {
+    throw new NotFoundError('photo_not_found', { messageKey: 'photos.not_found', params: { id: photoId } });
+  }
+  return photo;
+}
+
+// La couverture apparaît dans les listes : les onglets ouverts reçoivent la voiture avec sa nouvelle cover_url
+async function publishCoverChange(req, carId) {
+  const car = await database.get(`SELECT cars.*, ${COVER_PHOTO_COLUMN} FROM cars WHERE id = ?`, [carId]);
+  publishCarEvent(req, 'car.updated', withCoverUrl(car));
+}
+
+// Renvoie la galerie complète d'une voiture (ordre d'affichage)
+async function sendPhotos(res, carId, message, status = 200) {
+  const rows = await database.all('SELECT * FROM car_photos WHERE car_id = ? ORDER BY position, id', [carId]);
+
+  res.status(status).json({
+    success: true,
+    message,
+    count: rows.length,
+    data: rows.map(formatPhoto),
+  });
+}
+
+// Réception des fichiers par multer ; ses erreurs (taille, nombre, champ) deviennent des 400/413
+function receivePhotos(req, res) {
+  return new Promise((resolve, reject) => {
+    uploadPhotos(req, res, (err) => {
+      if (!err) return resolve(req.files || []);
+      if (!(err instanceof multer.MulterError)) return reject(err);
+
+      const messages = {
+        LIMIT_FILE_SIZE: { messageKey: 'photos.too_large', params: { max: Math.round(MAX_PHOTO_SIZE / 1024 / 1024) } },
+        LIMIT_FILE_COUNT: { messageKey: 'photos.too_many', params: { max: MAX_PHOTOS_PER_UPLOAD } },
+        INVALID_FILE_TYPE: {
+          messageKey: 'photos.invalid_type',
+          params: { name: err.filename, types: Object.keys(PHOTO_TYPES).join(', ') },
+        },
+      };
+      reject(photoRejected(messages[err.code] || { detail: err.message }, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400));
+    });
+  });
+}
+
+// GET - Photos d'une voiture
+exports.getPhotos = async (req, res) => {
+  const car = await findCar(req.params.id);
+  await sendPhotos(res, car.id, req.t('photos.listed'));
+};
+
+// POST - Ajouter des photos (multipart/form-data, champ "photos")
+// La première photo d'une voiture devient automatiquement sa photo de couverture
+exports.uploadPhotos = async (req, res) => {
+  const car = await findCar(req.params.id);
+  const files = await receivePhotos(req, res);
+
+  if (!files.length) {
+    throw photoRejected({ messageKey: 'photos.no_file' });
+  }
+
+  let state;
+
+  try {
+    const invalid = files.find((file) => !hasImageSignature(file.path, file.mimetype));
+    if (invalid) {
+      throw photoRejected({
+        messageKey: 'photos.content_mismatch',
+        params: { name: invalid.originalname, type: invalid.mimetype },
+      });
+    }
+
+    const stateQuery = `
+      SELECT COALESCE(MAX(position), -1) AS lastPosition, COALESCE(MAX(is_cover), 0) AS hasCover
+      FROM car_photos WHERE car_id = ?
+    `;
+    state = await database.get(stateQuery, [car.id]);
+
+    // Une seule instruction INSERT pour toutes les photos : tout ou rien
+    const placeholders = files.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = files.flatMap((file, index) => [
+      car.id,
+      file.filename,
+      file.originalname,
+      file.mimetype,
+      file.size,
+      state.lastPosition + 1 + index,
+      !state.hasCover && index === 0 ? 1 : 0,
+    ]);
+    const query = `
+      INSERT INTO car_photos (car_id, filename, original_name, mime_type, size, position, is_cover)
+      VALUES ${placeholders}
+    `;
+
+    await database.run(query, params);
+  } catch (err) {
+    // Fichiers refusés ou non enregistrés : rien ne reste dans uploads/
+    removePhotoFiles(files.map((file) => file.filename));
+    throw err;
+  }
+
+  // Première photo de la voiture : elle devient la couverture
+  if (!state.hasCover) await publishCoverChange(req, car.id);
+  await sendPhotos(res, car.id, req.t('photos.added', { count: files.length }), 201);
+};
+
+// PUT - Réordonner les photos ({ order: [idPhoto, ...] }, toutes les photos de la voiture)
+exports.reorderPhotos = async (req, res) => {
+  const { order } = req.body || {};
+  const car = await findCar(req.params.id);
+  const rows = await database.all('SELECT id FROM car_photos WHERE car_id = ?', [car.id]);
+
+  const ids = rows.map((row) => row.id);
+  const isPermutation = Array.isArray(order)
+    && order.length === ids.length
+    && new Set(order).size === order.length
+    && order.every((id) => ids.includes(id));
+
+  if (!isPermutation) {
+    throw new ValidationError([], {
+      messageKey: 'photos.invalid_order',
+      params: { ids: ids.join(', ') || req.t('photos.none') },
+    });
+  }
+
+  if (order.length) {
+    // CASE : toutes les positions changent dans une seule instruction
+    const cases = order.map(() => 'WHEN ? THEN ?').join(' ');
+    const params = order.flatMap((id, position) => [id, position]);
+    const query = `UPDATE car_photos SET position = CASE id ${cases} END WHERE car_id = ?`;
+
+    await database.run(query, [...params, car.id]);
+  }
+
+  await sendPhotos(res, car.id, req.t('photos.reordered'));
+};
+
+// PUT - Choisir la photo de couverture
+exports.setCoverPhoto = async (req, res) => {
+  const car = await findCar(req.params.id);
+  const photo = await findPhoto(car, req.params.photoId, 'id, is_cover');
+
+  if (!photo.is_cover) {
+    await database.run('UPDATE car_photos SET is_cover = (id = ?) WHERE car_id = ?', [photo.id, car.id]);
+    await publishCoverChange(req, car.id);
+  }
+
+  await sendPhotos(res, car.id, req.t('photos.cover_updated'));
+};
+
+// DELETE - Supprimer une photo (la suivante devient la couverture si besoin)
+exports.deletePhoto = async (req, res) => {
+  const car = await findCar(req.params.id);
+  const photo = await findPhoto(car, req.params.photoId, '*');
+
+  await database.run('DELETE FROM car_photos WHERE id = ?', [photo.id]);
+  removePhotoFiles([photo.filename]);
+
+  if (photo.is_cover) {
+    const promoteQuery = `
+      UPDATE car_photos SET is_cover = 1
+      WHERE id = (SELECT id FROM car_photos WHERE car_id = ? ORDER BY position, id LIMIT 1)
+    `;
+    await database.run(promoteQuery, [car.id]);
+    await publishCoverChange(req, car.id);
+  }
+
+  await sendPhotos(res, car.id, req.t('photos.deleted'));
+};
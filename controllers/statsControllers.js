@@ -0,0 +1,80 @@
+const { all } = require('../database');
+const { parseCarListQuery } = require('../utils/carQuery');
+const { InvalidParametersError } = require('../utils/errors');
+
+// Nombre de voitures dans les classements "plus chères" / "moins chères"
+const RANKING_SIZE = 5;
+
+// Quantile d'une liste triée, avec interpolation linéaire entre les deux valeurs voisines
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Minimum, quartiles et maximum d'une colonne numérique (null si aucune valeur renseignée)
+function buildQuartiles(rows) {
+  const values = rows.map((row) => row.value);
+  if (!values.length) return null;
+
+  return {
+    count: values.length,
+    min: values[0],
+    q1: quantile(values, 0.25),
+    median: quantile(values, 0.5),
+    q3: quantile(values, 0.75),
+    max: values[values.length - 1],
+  };
+}
+
+// GET - Statistiques de la collection (hors corbeille, mêmes filtres que la liste)
+exports.getStats = async (req, res) => {
+  const { where, params, errors } = parseCarListQuery(req.query, { paginate: false, lang: req.lang });
+
+  if (errors.length) {
+    throw new InvalidParametersError({ detail: errors.join('. ') });
+  }
+
+  // Les agrégats sont calculés en parallèle
+  const [[summary], byBrand, byDecade, prices, mileages, mostValuable, leastValuable] = await Promise.all([
+    all(`
+      SELECT COUNT(*) AS count, COUNT(price) AS valued,
+        COALESCE(SUM(price), 0) AS total_value, AVG(price) AS average_value
+      FROM cars ${where}
+    `, params),
+    all(`
+      SELECT brand, COUNT(*) AS count, COALESCE(SUM(price), 0) AS total_value, AVG(price) AS average_value
+      FROM cars ${where}
+      GROUP BY brand COLLATE NOCASE
+      ORDER BY total_value DESC, count DESC, brand
+    `, params),
+    all(`
+      SELECT (year / 10) * 10 AS decade, COUNT(*) AS count, COALESCE(SUM(price), 0) AS total_value
+      FROM cars ${where}
+      GROUP BY decade
+      ORDER BY decade
+    `, params),
+    all(`SELECT price AS value FROM cars ${where} AND price IS NOT NULL ORDER BY price`, params),
+    all(`SELECT mileage AS value FROM cars ${where} AND mileage IS NOT NULL ORDER BY mileage`, params),
+    all(`SELECT * FROM cars ${where} AND price IS NOT NULL ORDER BY price DESC, id LIMIT ?`, [...params, RANKING_SIZE]),
+    all(`SELECT * FROM cars ${where} AND price IS NOT NULL ORDER BY price ASC, id LIMIT ?`, [...params, RANKING_SIZE]),
+  ]);
+
+  res.json({
+    success: true,
+    message: req.t('stats.computed'),
+    data: {
+      count: summary.count,
+      valued: summary.valued,
+      total_value: summary.total_value,
+      average_value: summary.average_value,
+      by_brand: byBrand,
+      by_decade: byDecade,
+      price: buildQuartiles(prices),
+      mileage: buildQuartiles(mileages),
+      most_valuable: mostValuable,
+      least_valuable: leastValuable,
+    },
+  });
+};
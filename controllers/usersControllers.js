@@ -1,186 +1,326 @@
-const { db } = require('../database');
-
-// GET - Récupérer toutes les voitures
-exports.getAllCars = (req, res) => {
-  const query = 'SELECT * FROM cars ORDER BY year DESC';
-
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      return res.status(500).json({
-        error: 'Erreur lors de la récupération des voitures',
-        details: err.message,
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Liste des voitures récupérée',
-      count: rows.length,
-      data: rows,
-    });
+const database = require('../database');
+const { parseCarListQuery, buildFtsMatch, MAX_LIMIT } = require('../utils/carQuery');
+const { validate } = require('../utils/validation');
+const { carSchema } = require('../utils/carSchema');
+const { recordAudit, formatAuditEntry } = require('../utils/audit');
+const { COVER_PHOTO_COLUMN, withCoverUrl, removePhotoFiles } = require('../utils/photos');
+const { carEtag, ifMatchSatisfied } = require('../utils/etag');
+const { publishCarEvent } = require('../utils/carEvents');
+const {
+  ValidationError,
+  InvalidParametersError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require('../utils/errors');
+
+// Délimiteurs des termes trouvés dans l'extrait de la recherche : caractères Unicode à usage privé
+// (U+E000, U+E001) plutôt que du HTML, que le client insère après avoir échappé le texte (voir public/dom.mjs)
+const SNIPPET_MARKS = ['\uE000', '\uE001'];
+
+// Erreur 412 : la voiture a changé depuis sa lecture par le client (la version actuelle est renvoyée)
+function versionConflict(current) {
+  return new PreconditionFailedError(current, current && carEtag(current));
+}
+
+// Voiture active (hors corbeille) ou erreur 404
+async function findActiveCar(id) {
+  const row = await database.get('SELECT * FROM cars WHERE id = ? AND deleted_at IS NULL', [id]);
+  if (!row) {
+    throw new NotFoundError('car_not_found', { messageKey: 'messages.car_not_found', params: { id } });
+  }
+  return row;
+}
+
+// Voiture de la corbeille ou erreur 404
+async function findTrashedCar(id) {
+  const row = await database.get('SELECT * FROM cars WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+  if (!row) {
+    throw new NotFoundError('car_not_found', { messageKey: 'messages.car_not_in_trash', params: { id } });
+  }
+  return row;
+}
+
+// UPDATE conditionné à la version lue : si un autre éditeur est passé entre la lecture
+// et l'écriture, aucune ligne n'est modifiée et le client reçoit un 412
+async function updateCarVersion(row, { assignments, params }) {
+  const query = `
+    UPDATE cars
+    SET ${assignments}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND version = ?
+  `;
+
+  const { changes } = await database.run(query, [...params, row.id, row.version]);
+  if (changes === 0) {
+    throw versionConflict(await database.get('SELECT * FROM cars WHERE id = ?', [row.id]));
+  }
+}
+
+// Relit la voiture en base après une mise à jour, l'inscrit dans l'historique et la renvoie au client
+async function sendUpdatedCar(req, res, before) {
+  const row = await database.get('SELECT * FROM cars WHERE id = ?', [before.id]);
+
+  await recordAudit(req, { carId: row.id, action: 'update', before, after: row });
+  publishCarEvent(req, 'car.updated', row);
+  res.set('ETag', carEtag(row));
+  res.json({
+    success: true,
+    message: req.t('cars.updated'),
+    data: row,
+  });
+}
+
+// Construit l'URL d'une autre page en conservant les filtres de la requête
+function buildPageUrl(req, page) {
+  const searchParams = new URLSearchParams(req.query);
+  searchParams.set('page', page);
+  return `${req.baseUrl}${req.path}?${searchParams.toString()}`;
+}
+
+// Liste paginée des voitures actives ou de la corbeille (filtres, tri et pagination via la query string)
+async function sendCarList(req, res, { deleted, message, defaultSort }) {
+  const { where, params, orderBy, page, limit, offset, errors } = parseCarListQuery(
+    req.query,
+    { deleted, defaultSort, lang: req.lang },
+  );
+
+  if (errors.length) {
+    throw new InvalidParametersError({ detail: errors.join('. ') });
+  }
+
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM cars ${where}`, params);
+  const query = `SELECT cars.*, ${COVER_PHOTO_COLUMN} FROM cars ${where} ${orderBy} LIMIT ? OFFSET ?`;
+  const rows = await database.all(query, [...params, limit, offset]);
+  const hasNext = offset + rows.length < total;
+
+  res.json({
+    success: true,
+    message,
+    count: rows.length,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    next: hasNext ? buildPageUrl(req, page + 1) : null,
+    // L'ETag de chaque voiture permet de la modifier ou supprimer depuis la liste (If-Match)
+    data: rows.map((row) => ({ ...withCoverUrl(row), etag: carEtag(row) })),
+  });
+}
+
+// GET - Récupérer toutes les voitures (hors corbeille)
+exports.getAllCars = (req, res) => sendCarList(req, res, {
+  deleted: false,
+  message: req.t('cars.listed'),
+});
+
+// GET - Voitures dans la corbeille (les plus récemment supprimées d'abord)
+exports.getTrash = (req, res) => sendCarList(req, res, {
+  deleted: true,
+  message: req.t('cars.trash_listed'),
+  defaultSort: 'deleted_at:desc',
+});
+
+// GET - Recherche plein texte sur la marque, le modèle et la description
+exports.searchCars = async (req, res) => {
+  const match = buildFtsMatch(req.query.q);
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!match) {
+    throw new InvalidParametersError({ messageKey: 'query.q_required' });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new InvalidParametersError({ messageKey: 'query.invalid_limit', params: { max: MAX_LIMIT } });
+  }
+
+  // bm25() : plus la valeur est basse, plus le résultat est pertinent
+  const query = `
+    SELECT cars.*,
+      snippet(cars_fts, 2, ?, ?, '…', 12) AS snippet,
+      bm25(cars_fts) AS rank,
+      ${COVER_PHOTO_COLUMN}
+    FROM cars_fts
+    JOIN cars ON cars.id = cars_fts.rowid
+    WHERE cars_fts MATCH ? AND cars.deleted_at IS NULL
+    ORDER BY rank
+    LIMIT ?
+  `;
+
+  const rows = await database.all(query, [...SNIPPET_MARKS, match, limit]);
+
+  res.json({
+    success: true,
+    message: req.t('cars.search_results'),
+    query: req.query.q,
+    count: rows.length,
+    data: rows.map(withCoverUrl),
   });
 };
 
 // GET - Récupérer une voiture par ID
-exports.getCarById = (req, res) => {
-  const { id } = req.params;
-  const query = 'SELECT * FROM cars WHERE id = ?';
-
-  db.get(query, [id], (err, row) => {
-    if (err) {
-      return res.status(500).json({
-        error: 'Erreur serveur',
-        details: err.message,
-      });
-    }
-
-    if (!row) {
-      return res.status(404).json({
-        error: 'Voiture non trouvée',
-        message: `Aucune voiture avec l'ID ${id}`,
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Voiture trouvée',
-      data: row,
-    });
+exports.getCarById = async (req, res) => {
+  const row = await findActiveCar(req.params.id);
+
+  // Express répond 304 si l'ETag correspond à l'en-tête If-None-Match
+  res.set('ETag', carEtag(row));
+  res.json({
+    success: true,
+    message: req.t('cars.found'),
+    data: row,
   });
 };
 
 // POST - Créer une nouvelle voiture
-exports.createCar = (req, res) => {
-  const { brand, model, year, color, price, mileage, description } = req.body;
+exports.createCar = async (req, res) => {
+  const { value, errors } = validate(carSchema, req.body, { lang: req.lang });
 
-  if (!brand || !model || !year) {
-    return res.status(400).json({
-      error: 'Données invalides',
-      message: 'Les champs brand, model et year sont obligatoires',
-    });
+  if (errors.length) {
+    throw new ValidationError(errors);
   }
 
+  const { brand, model, year, color, price, mileage, description } = value;
+
   const query = `
-    INSERT INTO cars (brand, model, year, color, price, mileage, description)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO cars (brand, model, year, color, price, mileage, description, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
   `;
 
-  db.run(
-    query,
-    [brand, model, year, color, price, mileage, description],
-    function runCallback(err) {
-      if (err) {
-        return res.status(500).json({
-          error: 'Erreur lors de la création',
-          details: err.message,
-        });
-      }
-
-      res.status(201).json({
-        success: true,
-        message: 'Voiture créée avec succès',
-        data: {
-          id: this.lastID,
-          brand,
-          model,
-          year,
-          color,
-          price,
-          mileage,
-          description,
-        },
-      });
-    },
-  );
+  const { lastID } = await database.run(query, [brand, model, year, color, price, mileage, description]);
+  // Relit la ligne pour renvoyer les colonnes remplies par la base (version, dates), comme PUT/PATCH
+  const created = await database.get('SELECT * FROM cars WHERE id = ?', [lastID]);
+
+  await recordAudit(req, { carId: created.id, action: 'create', before: null, after: created });
+  publishCarEvent(req, 'car.created', created);
+  res.set('ETag', carEtag(created));
+  res.status(201).json({
+    success: true,
+    message: req.t('cars.created'),
+    data: created,
+  });
+};
+
+// PUT - Remplacer entièrement une voiture existante (tous les champs obligatoires doivent être fournis)
+exports.updateCar = async (req, res) => {
+  const { value, errors } = validate(carSchema, req.body, { lang: req.lang });
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  const { brand, model, year, color, price, mileage, description } = value;
+  const row = await findActiveCar(req.params.id);
+
+  if (!ifMatchSatisfied(req, row)) {
+    throw versionConflict(row);
+  }
+
+  await updateCarVersion(row, {
+    assignments: 'brand = ?, model = ?, year = ?, color = ?, price = ?, mileage = ?, description = ?',
+    params: [brand, model, year, color, price, mileage, description],
+  });
+  await sendUpdatedCar(req, res, row);
+};
+
+// PATCH - Modifier uniquement les champs fournis d'une voiture existante
+exports.patchCar = async (req, res) => {
+  const { value, errors } = validate(carSchema, req.body, { partial: true, lang: req.lang });
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  const fields = Object.keys(value);
+  if (!fields.length) {
+    throw new ValidationError([], {
+      messageKey: 'messages.nothing_to_patch',
+      params: { fields: Object.keys(carSchema).join(', ') },
+    });
+  }
+
+  const row = await findActiveCar(req.params.id);
+
+  if (!ifMatchSatisfied(req, row)) {
+    throw versionConflict(row);
+  }
+
+  // Les noms de colonnes viennent du schéma (liste blanche), jamais du client
+  await updateCarVersion(row, {
+    assignments: fields.map((field) => `${field} = ?`).join(', '),
+    params: fields.map((field) => value[field]),
+  });
+  await sendUpdatedCar(req, res, row);
 };
 
-// PUT - Modifier une voiture existante
-exports.updateCar = (req, res) => {
+// DELETE - Supprimer une voiture (placée dans la corbeille, restaurable)
+exports.deleteCar = async (req, res) => {
   const { id } = req.params;
-  const { brand, model, year, color, price, mileage, description } = req.body;
-
-  db.get('SELECT * FROM cars WHERE id = ?', [id], (findErr, row) => {
-    if (findErr) {
-      return res.status(500).json({
-        error: 'Erreur serveur',
-        details: findErr.message,
-      });
-    }
-
-    if (!row) {
-      return res.status(404).json({
-        error: 'Voiture non trouvée',
-      });
-    }
-
-    const query = `
-      UPDATE cars
-      SET brand = ?, model = ?, year = ?, color = ?, price = ?, mileage = ?, description = ?
-      WHERE id = ?
-    `;
-
-    db.run(
-      query,
-      [brand, model, year, color, price, mileage, description, id],
-      function runCallback(err) {
-        if (err) {
-          return res.status(500).json({
-            error: 'Erreur lors de la mise à jour',
-            details: err.message,
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Voiture mise à jour avec succès',
-          data: {
-            id,
-            brand,
-            model,
-            year,
-            color,
-            price,
-            mileage,
-            description,
-          },
-        });
-      },
-    );
+  const row = await findActiveCar(id);
+
+  if (!ifMatchSatisfied(req, row)) {
+    throw versionConflict(row);
+  }
+
+  await updateCarVersion(row, { assignments: 'deleted_at = CURRENT_TIMESTAMP', params: [] });
+  await recordAudit(req, { carId: row.id, action: 'delete', before: row, after: null });
+  publishCarEvent(req, 'car.deleted', row);
+  res.json({
+    success: true,
+    message: req.t('cars.deleted'),
+    data: { id },
+  });
+};
+
+// POST - Restaurer une voiture de la corbeille
+exports.restoreCar = async (req, res) => {
+  const row = await findTrashedCar(req.params.id);
+
+  await updateCarVersion(row, { assignments: 'deleted_at = NULL', params: [] });
+  const restored = await database.get('SELECT * FROM cars WHERE id = ?', [row.id]);
+
+  // Pour les listes ouvertes, une voiture restaurée réapparaît comme une nouvelle voiture
+  await recordAudit(req, { carId: row.id, action: 'restore', before: null, after: restored });
+  publishCarEvent(req, 'car.created', restored);
+  res.set('ETag', carEtag(restored));
+  res.json({
+    success: true,
+    message: req.t('cars.restored'),
+    data: restored,
   });
 };
 
-// DELETE - Supprimer une voiture
-exports.deleteCar = (req, res) => {
+// DELETE - Supprimer définitivement une voiture de la corbeille (administrateurs)
+exports.purgeCar = async (req, res) => {
   const { id } = req.params;
+  const row = await findTrashedCar(id);
+  const photos = await database.all('SELECT filename FROM car_photos WHERE car_id = ?', [id]);
 
-  db.get('SELECT * FROM cars WHERE id = ?', [id], (findErr, row) => {
-    if (findErr) {
-      return res.status(500).json({
-        error: 'Erreur serveur',
-        details: findErr.message,
-      });
-    }
-
-    if (!row) {
-      return res.status(404).json({
-        error: 'Voiture non trouvée',
-      });
-    }
-
-    db.run('DELETE FROM cars WHERE id = ?', [id], (deleteErr) => {
-      if (deleteErr) {
-        return res.status(500).json({
-          error: 'Erreur lors de la suppression',
-          details: deleteErr.message,
-        });
-      }
-
-      res.json({
-        success: true,
-        message: 'Voiture supprimée avec succès',
-        data: { id },
-      });
-    });
+  // Les photos (lignes et fichiers) disparaissent avec la voiture
+  await database.run('DELETE FROM car_photos WHERE car_id = ?', [id]);
+  await database.run('DELETE FROM cars WHERE id = ?', [id]);
+  removePhotoFiles(photos.map((photo) => photo.filename));
+
+  await recordAudit(req, { carId: row.id, action: 'purge', before: row, after: null });
+  res.json({
+    success: true,
+    message: req.t('cars.purged'),
+    data: { id },
   });
 };
 
+// GET - Historique des modifications d'une voiture (conservé après sa suppression)
+exports.getCarHistory = async (req, res) => {
+  const { id } = req.params;
+  const query = 'SELECT * FROM car_audit WHERE car_id = ? ORDER BY created_at DESC, id DESC';
+  const rows = await database.all(query, [id]);
+
+  // Pas d'historique : voiture antérieure au suivi, ou ID inconnu
+  if (!rows.length && !(await database.get('SELECT id FROM cars WHERE id = ?', [id]))) {
+    throw new NotFoundError('car_not_found', { messageKey: 'messages.car_history_not_found', params: { id } });
+  }
+
+  res.json({
+    success: true,
+    message: req.t('cars.history'),
+    count: rows.length,
+    data: rows.map(formatAuditEntry),
+  });
+};
@@ -0,0 +1,36 @@
+const { db, initializePromise } = require('./database');
+const { SCOPES, createApiKey } = require('./utils/apiKeys');
+
+// Usage : npm run keys:create -- "<libellé>" <portées séparées par des virgules> [expiration ISO 8601]
+// Exemple : npm run keys:create -- "Administrateur" admin
+const [label, scopesArg = '', expiresAt = null] = process.argv.slice(2);
+const scopes = scopesArg.split(',').map((scope) => scope.trim()).filter(Boolean);
+
+async function main() {
+  if (!label || !scopes.length || scopes.some((scope) => !SCOPES.includes(scope))) {
+    console.error('Usage : npm run keys:create -- "<libellé>" <portées> [expiration]');
+    console.error(`Portées disponibles : ${SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await initializePromise;
+  } catch (error) {
+    console.error('❌  Impossible d’initialiser la base de données:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    const created = await createApiKey({ label, scopes, expiresAt });
+    console.log(`\n🔑 Clé "${label}" créée (${scopes.join(', ')})`);
+    console.log(`   ${created.key}`);
+    console.log('   Conservez-la : elle ne sera plus affichée.\n');
+  } catch (err) {
+    console.error('❌  Erreur lors de la création de la clé:', err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
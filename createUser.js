@@ -0,0 +1,39 @@
+const { db, initializePromise } = require('./database');
+const { ROLES } = require('./utils/auth');
+const { createUser } = require('./utils/users');
+
+// Usage : npm run users:create -- <email> <mot de passe> <rôle>
+// Exemple : npm run users:create -- admin@example.com "motdepasse" admin
+const [email, password, role = 'viewer'] = process.argv.slice(2);
+
+async function main() {
+  if (!email || !password || !ROLES.includes(role)) {
+    console.error('Usage : npm run users:create -- <email> <mot de passe> <rôle>');
+    console.error(`Rôles disponibles : ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 8) {
+    console.error('❌  Le mot de passe doit contenir au moins 8 caractères');
+    process.exit(1);
+  }
+
+  try {
+    await initializePromise;
+  } catch (error) {
+    console.error('❌  Impossible d’initialiser la base de données:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    const user = await createUser({ email, password, role });
+    console.log(`\n👤 Utilisateur ${user.email} créé (rôle ${user.role})\n`);
+  } catch (err) {
+    console.error('❌  Erreur lors de la création de l’utilisateur:', err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -1,8 +1,10 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { migrateUp } = require('./utils/migrator');
+const { logger, serializeError } = require('./utils/logger');
 
-// Chemin vers le fichier de base de données
-const dbPath = path.resolve(__dirname, 'cars.db');
+// Chemin vers le fichier de base de données (DB_PATH pour une autre base, ex : tests)
+const dbPath = path.resolve(process.env.DB_PATH || path.join(__dirname, 'cars.db'));
 
 // Création/ouverture de la base de données
 const db = new sqlite3.Database(dbPath, (err) => {
@@ -13,35 +15,113 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
-// Création de la table cars si elle n'existe pas
-const createTableQuery = `
-  CREATE TABLE IF NOT EXISTS cars (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    brand TEXT NOT NULL,
-    model TEXT NOT NULL,
-    year INTEGER NOT NULL,
-    color TEXT,
-    price REAL,
-    mileage INTEGER,
-    description TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`;
-
-const initializePromise = new Promise((resolve, reject) => {
-  db.run(createTableQuery, (err) => {
-    if (err) {
-      console.error('❌  Erreur lors de la création de la table:', err.message);
-      reject(err);
-    } else {
-      console.log('✅  Table cars créée ou déjà existante');
-      resolve();
+// Migrations du schéma (dossier migrations/), appliquées une seule fois au premier accès
+// à initializePromise : les commandes npm run migrate:* peuvent ainsi utiliser la connexion
+// sans déclencher les migrations automatiques.
+let initialization = null;
+
+function initialize() {
+  if (!initialization) {
+    initialization = migrateUp(db).then((applied) => {
+      applied.forEach((name) => console.log(`✅  Migration appliquée : ${name}`));
+      console.log('✅  Schéma de la base de données à jour');
+    }).catch((err) => {
+      console.error('❌  Erreur lors de la migration de la base:', err.message);
+      throw err;
+    });
+  }
+  return initialization;
+}
+
+// Versions "promesse" des méthodes sqlite3 (sans attente de transaction, voir plus bas)
+function execute(method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    if (method === 'run') {
+      db.run(sql, params, function runCallback(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+      return;
     }
+    db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
   });
-});
+}
+
+// Toutes les requêtes partagent une seule connexion : pendant une transaction, les instructions
+// des autres requêtes HTTP s'exécuteraient à l'intérieur (et seraient annulées avec elle).
+// transaction() attend donc la fin des instructions en cours, et les autres attendent la fin de la transaction.
+let activeTransaction = null;
+let pendingQueries = 0;
+const idleWaiters = [];
+
+async function queued(operation) {
+  while (activeTransaction) {
+    await activeTransaction;
+  }
+
+  pendingQueries += 1;
+  try {
+    return await operation();
+  } finally {
+    pendingQueries -= 1;
+    if (pendingQueries === 0) idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+}
+
+// Les contrôleurs utilisent async/await et une erreur SQL remonte jusqu'au gestionnaire
+// d'erreurs (middleware/errorHandler.js)
+const run = (sql, params) => queued(() => execute('run', sql, params));
+const get = (sql, params) => queued(() => execute('get', sql, params));
+const all = (sql, params) => queued(() => execute('all', sql, params));
+
+/**
+ * Exécute des instructions dans une transaction (tout ou rien), une seule à la fois
+ * @param {Function} work - async ({ run, get, all }) => résultat : instructions de la transaction,
+ *   à exécuter avec ces fonctions (celles du module attendraient la fin de la transaction)
+ * @returns {Promise<*>} Résultat de work, après COMMIT ; en cas d'erreur, ROLLBACK puis rejet
+ */
+async function transaction(work) {
+  while (activeTransaction) {
+    await activeTransaction;
+  }
+
+  let release;
+  activeTransaction = new Promise((resolve) => { release = resolve; });
+
+  try {
+    if (pendingQueries > 0) await new Promise((resolve) => { idleWaiters.push(resolve); });
+
+    await execute('run', 'BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const result = await work({
+        run: (sql, params) => execute('run', sql, params),
+        get: (sql, params) => execute('get', sql, params),
+        all: (sql, params) => execute('all', sql, params),
+      });
+      await execute('run', 'COMMIT');
+      return result;
+    } catch (error) {
+      await execute('run', 'ROLLBACK').catch((rollbackErr) => {
+        logger.error('Erreur lors de l\'annulation de la transaction', { error: serializeError(rollbackErr) });
+      });
+      throw error;
+    }
+  } finally {
+    activeTransaction = null;
+    release();
+  }
+}
 
 module.exports = {
   db,
-  initializePromise,
+  run,
+  get,
+  all,
+  transaction,
 };
 
+// Getter : les migrations démarrent quand un module lit initializePromise
+Object.defineProperty(module.exports, 'initializePromise', {
+  enumerable: true,
+  get: initialize,
+});
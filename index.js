@@ -1,9 +1,30 @@
 // Importation des modules nécessaires
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
 const { initializePromise, db } = require('./database');
 const carsController = require('./controllers/usersControllers');
+const apiKeysController = require('./controllers/apiKeysControllers');
+const authController = require('./controllers/authControllers');
+const auditController = require('./controllers/auditControllers');
+const importController = require('./controllers/importControllers');
+const exportController = require('./controllers/exportControllers');
+const photosController = require('./controllers/photosControllers');
+const statsController = require('./controllers/statsControllers');
+const eventsController = require('./controllers/eventsControllers');
 const checkApiKey = require('./middleware/checkApiKey');
+const { rateLimit, rateLimitByMethod } = require('./middleware/rateLimit');
+const securityHeaders = require('./middleware/securityHeaders');
+const language = require('./middleware/language');
+const errorHandler = require('./middleware/errorHandler');
+const requestLogger = require('./middleware/requestLogger');
+const { createStore } = require('./utils/rateLimitStores');
+const { ensureAdminUser } = require('./utils/users');
+const { SESSION_SECRET_IS_EPHEMERAL } = require('./utils/auth');
+const { UPLOADS_DIR, UPLOADS_URL } = require('./utils/photos');
+const { openApiSpec, listSpecOperations } = require('./utils/openapi');
+const { NotFoundError } = require('./utils/errors');
 
 // Création de l'application Express
 const app = express();
@@ -12,42 +33,163 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middlewares globaux
-app.use(cors()); // Autorise les requêtes cross-origin
-app.use(express.json()); // Parse le JSON des requêtes
+// Journal JSON de chaque requête et identifiant de corrélation (header X-Request-Id)
+app.use(requestLogger());
+// Headers de sécurité (CSP stricte, nosniff...) sur toutes les réponses, fichiers statiques compris
+app.disable('x-powered-by');
+app.use(securityHeaders());
+
+// Autorise les requêtes cross-origin et expose les headers de limitation de débit
+app.use(cors({
+  exposedHeaders: [
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After',
+    'ETag',
+    'Content-Language',
+    'X-Request-Id',
+  ],
+}));
+// Langue des messages de l'API : ?lang=fr|en ou header Accept-Language (français par défaut)
+app.use(language());
+app.use(express.json({ limit: '5mb' })); // Parse le JSON des requêtes (imports en masse compris)
+
+// ETags faibles calculés par Express sur le corps des réponses JSON (listes) :
+// un client qui renvoie If-None-Match reçoit 304 si rien n'a changé.
+// Les voitures seules ont un ETag fort basé sur leur version (voir utils/etag.js).
+app.set('etag', 'weak');
 
 // Servir les fichiers statiques du dossier "public" (interface frontend)
 app.use(express.static('public'));
 
-// Route de bienvenue
+// Bootstrap servi par l'application (paquet npm figé) : la CSP n'autorise aucun script d'une autre origine
+app.use('/vendor/bootstrap', express.static(path.join(path.dirname(require.resolve('bootstrap/package.json')), 'dist'), {
+  index: false,
+}));
+
+// Photos des voitures (noms de fichiers aléatoires, mis en cache par le navigateur)
+app.use(UPLOADS_URL, express.static(UPLOADS_DIR, { maxAge: '7d', immutable: true }));
+
+// Route de bienvenue : liste des routes tirée de la spécification OpenAPI (documentation complète sur /docs)
 app.get('/', (req, res) => {
   res.json({
-    message: 'Bienvenue sur l\'API de gestion de voitures classiques',
-    version: '1.0.0',
-    endpoints: {
-      getAllCars: 'GET /api/cars',
-      getCarById: 'GET /api/cars/:id',
-      createCar: 'POST /api/cars',
-      updateCar: 'PUT /api/cars/:id',
-      deleteCar: 'DELETE /api/cars/:id',
-    },
+    message: req.t('messages.welcome'),
+    version: openApiSpec.info.version,
+    documentation: '/docs',
+    openapi: '/openapi.json',
+    endpoints: listSpecOperations(),
   });
 });
 
-// Routes CRUD protégées par le middleware
-app.get('/api/cars', checkApiKey, carsController.getAllCars);
-app.get('/api/cars/:id', checkApiKey, carsController.getCarById);
-app.post('/api/cars', checkApiKey, carsController.createCar);
-app.put('/api/cars/:id', checkApiKey, carsController.updateCar);
-app.delete('/api/cars/:id', checkApiKey, carsController.deleteCar);
+// Spécification OpenAPI (utils/openapi.js) et documentation interactive servie localement
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+// Swagger UI applique des styles inline et des images data: : CSP assouplie pour cette page seulement
+const docsSecurityHeaders = securityHeaders({
+  directives: { 'style-src': ["'self'", "'unsafe-inline'"] },
+});
+app.get('/docs', docsSecurityHeaders, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+});
+app.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+// Stockage des compteurs de la limitation de débit (commun à tous les budgets)
+const rateLimitStore = createStore(process.env.RATE_LIMIT_STORE || 'memory');
+
+// Connexion : budgets par adresse IP et par email contre les essais de mots de passe en rafale
+const loginRateLimitWindowMs = Number(process.env.RATE_LIMIT_LOGIN_WINDOW_MS) || 15 * 60 * 1000;
+const loginRateLimits = [
+  rateLimit({
+    name: 'login-ip',
+    max: Number(process.env.RATE_LIMIT_LOGIN_IP_MAX) || 30,
+    windowMs: loginRateLimitWindowMs,
+    store: rateLimitStore,
+    keyGenerator: (req) => `ip:${req.ip}`,
+  }),
+  rateLimit({
+    name: 'login-email',
+    max: Number(process.env.RATE_LIMIT_LOGIN_EMAIL_MAX) || 10,
+    windowMs: loginRateLimitWindowMs,
+    store: rateLimitStore,
+    keyGenerator: (req) => `email:${String(req.body?.email ?? '').trim().toLowerCase()}`,
+  }),
+];
+
+// Authentification des utilisateurs de l'interface web
+app.post('/api/auth/login', ...loginRateLimits, authController.login);
+app.post('/api/auth/logout', authController.logout);
+app.get('/api/auth/me', checkApiKey('cars:read'), authController.me);
+
+// Limitation de débit des routes /api/cars, par clé API valide (ou IP sinon),
+// avec des budgets distincts pour les lectures et les écritures
+const rateLimitWindowMs = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+app.use('/api/cars', rateLimitByMethod({
+  read: rateLimit({
+    name: 'read',
+    max: Number(process.env.RATE_LIMIT_READ_MAX) || 300,
+    windowMs: rateLimitWindowMs,
+    store: rateLimitStore,
+  }),
+  write: rateLimit({
+    name: 'write',
+    max: Number(process.env.RATE_LIMIT_WRITE_MAX) || 60,
+    windowMs: rateLimitWindowMs,
+    store: rateLimitStore,
+  }),
+}));
+
+// Routes CRUD protégées par le middleware (portée exigée par route)
+app.get('/api/cars', checkApiKey('cars:read'), carsController.getAllCars);
+app.get('/api/cars/search', checkApiKey('cars:read'), carsController.searchCars); // Avant /:id
+app.get('/api/cars/trash', checkApiKey('cars:read'), carsController.getTrash); // Avant /:id
+app.get('/api/cars/export', checkApiKey('cars:read'), exportController.exportCars); // Avant /:id
+app.get('/api/cars/stats', checkApiKey('cars:read'), statsController.getStats); // Avant /:id
+app.get('/api/cars/events', checkApiKey('cars:read'), eventsController.streamCarEvents); // Avant /:id
+app.get('/api/cars/:id', checkApiKey('cars:read'), carsController.getCarById);
+app.post('/api/cars', checkApiKey('cars:write'), carsController.createCar);
+app.post(
+  '/api/cars/import',
+  checkApiKey('cars:write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importController.importCars,
+);
+app.put('/api/cars/:id', checkApiKey('cars:write'), carsController.updateCar);
+app.patch('/api/cars/:id', checkApiKey('cars:write'), carsController.patchCar);
+app.delete('/api/cars/:id', checkApiKey('cars:write'), carsController.deleteCar);
+app.post('/api/cars/:id/restore', checkApiKey('cars:write'), carsController.restoreCar);
+app.delete('/api/cars/:id/purge', checkApiKey('admin'), carsController.purgeCar);
+app.get('/api/cars/:id/history', checkApiKey('cars:read'), carsController.getCarHistory);
+
+// Photos d'une voiture (envoi multipart/form-data, champ "photos")
+app.get('/api/cars/:id/photos', checkApiKey('cars:read'), photosController.getPhotos);
+app.post('/api/cars/:id/photos', checkApiKey('cars:write'), photosController.uploadPhotos);
+app.put('/api/cars/:id/photos/order', checkApiKey('cars:write'), photosController.reorderPhotos);
+app.put('/api/cars/:id/photos/:photoId/cover', checkApiKey('cars:write'), photosController.setCoverPhoto);
+app.delete('/api/cars/:id/photos/:photoId', checkApiKey('cars:write'), photosController.deletePhoto);
+
+// Journal global des modifications (réservé aux administrateurs)
+app.get('/api/audit', checkApiKey('admin'), auditController.getAuditLog);
+
+// Gestion des clés API (réservée aux clés admin)
+app.get('/api/keys', checkApiKey('admin'), apiKeysController.getAllKeys);
+app.post('/api/keys', checkApiKey('admin'), apiKeysController.createKey);
+app.delete('/api/keys/:id', checkApiKey('admin'), apiKeysController.revokeKey);
 
 // Gestion des routes non trouvées
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Route non trouvée',
-    message: `La route ${req.method} ${req.url} n'existe pas`,
+app.use((req) => {
+  throw new NotFoundError('route_not_found', {
+    messageKey: 'messages.route_not_found',
+    params: { method: req.method, url: req.url },
   });
 });
 
+// Toutes les erreurs (levées ou transmises par next) deviennent des réponses application/problem+json
+app.use(errorHandler());
+
 // Données de test pour initialisation automatique
 const sampleCars = [
   {
@@ -110,8 +252,8 @@ function seedIfEmpty() {
       if (row.count === 0) {
         console.log('📦 Base de données vide, initialisation avec des données de test...');
         const insertQuery = `
-          INSERT INTO cars (brand, model, year, color, price, mileage, description)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
+          INSERT INTO cars (brand, model, year, color, price, mileage, description, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         `;
 
         let insertedCount = 0;
@@ -151,15 +293,25 @@ function seedIfEmpty() {
 }
 
 // Démarrage du serveur après initialisation de la base
-initializePromise
-  .then(() => seedIfEmpty())
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`🚀 Serveur démarré sur le port ${PORT}`);
-      console.log(`📍 http://localhost:${PORT}`);
+// (uniquement avec "node index.js" : require('./index') renvoie l'application sans l'écouter)
+if (require.main === module) {
+  initializePromise
+    .then(() => seedIfEmpty())
+    .then(() => ensureAdminUser())
+    .then(() => {
+      app.listen(PORT, () => {
+        if (SESSION_SECRET_IS_EPHEMERAL) {
+          console.warn('⚠️  SESSION_SECRET non défini : les sessions expireront au redémarrage du serveur');
+        }
+        console.log(`🚀 Serveur démarré sur le port ${PORT}`);
+        console.log(`📍 http://localhost:${PORT}`);
+        console.log(`📖 Documentation : http://localhost:${PORT}/docs`);
+      });
+    })
+    .catch((err) => {
+      console.error('❌  Échec de l\'initialisation de la base de données:', err.message);
+      process.exit(1);
     });
-  })
-  .catch((err) => {
-    console.error('❌  Échec de l\'initialisation de la base de données:', err.message);
-    process.exit(1);
-  });
\ No newline at end of file
+}
+
+module.exports = app;
\ No newline at end of file
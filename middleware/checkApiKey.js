@@ -1,24 +1,73 @@
-const checkApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const validApiKey = 'ma-super-cle-api-2024';
+const { run, get } = require('../database');
+const { hashApiKey, hasScope } = require('../utils/apiKeys');
+const { ROLE_SCOPES, readSessionToken, verifySessionToken } = require('../utils/auth');
+const { formatUser } = require('../utils/users');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { logger, serializeError } = require('../utils/logger');
+
+// Authentification par clé API (header x-api-key)
+async function authenticateApiKey(req, apiKey, requiredScope) {
+  const row = await get('SELECT * FROM api_keys WHERE key_hash = ?', [hashApiKey(apiKey)]);
+
+  if (!row) {
+    throw new ForbiddenError({ messageKey: 'auth.invalid_key' });
+  }
+
+  if (row.revoked_at) {
+    throw new ForbiddenError({ messageKey: 'auth.revoked_key' });
+  }
 
-  if (!apiKey) {
-    return res.status(401).json({
-      error: 'Non autorisé',
-      message: 'Clé API manquante. Ajoutez le header x-api-key à votre requête',
-    });
+  if (row.expires_at && new Date(`${row.expires_at}Z`) <= new Date()) {
+    throw new ForbiddenError({ messageKey: 'auth.expired_key' });
   }
 
-  if (apiKey !== validApiKey) {
-    return res.status(403).json({
-      error: 'Accès refusé',
-      message: 'Clé API invalide',
-    });
+  const scopes = row.scopes.split(' ');
+  if (!hasScope(scopes, requiredScope)) {
+    throw new ForbiddenError({ messageKey: 'auth.missing_scope', params: { scope: requiredScope } });
+  }
+
+  req.apiKey = { id: row.id, label: row.label, scopes };
+  run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]).catch((err) => {
+    logger.error('Erreur lors de la mise à jour de la clé API', { request_id: req.id, error: serializeError(err) });
+  });
+
+  logger.debug('Clé API valide', { request_id: req.id, api_key: row.label });
+}
+
+// Authentification par session utilisateur (cookie ou header Authorization: Bearer)
+async function authenticateSession(req, session, requiredScope) {
+  // Le rôle est relu en base : un changement de rôle s'applique sans reconnexion
+  const row = await get('SELECT * FROM users WHERE id = ?', [session.sub]);
+
+  if (!row) {
+    throw new UnauthorizedError({ messageKey: 'auth.invalid_session' });
+  }
+
+  if (!hasScope(ROLE_SCOPES[row.role], requiredScope)) {
+    throw new ForbiddenError({ messageKey: 'auth.role_forbidden', params: { role: row.role } });
+  }
+
+  req.user = formatUser(row);
+}
+
+/**
+ * Vérifie l'authentification (clé API ou session utilisateur) et la portée exigée par la route
+ * @param {string} requiredScope - Portée nécessaire (cars:read, cars:write, admin)
+ * @returns {Function} Middleware Express (les refus sont levés vers le gestionnaire d'erreurs)
+ */
+const checkApiKey = (requiredScope) => async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  const session = apiKey ? null : verifySessionToken(readSessionToken(req));
+
+  if (apiKey) {
+    await authenticateApiKey(req, apiKey, requiredScope);
+  } else if (session) {
+    await authenticateSession(req, session, requiredScope);
+  } else {
+    throw new UnauthorizedError({ messageKey: 'auth.required' });
   }
 
-  console.log('✅  Clé API valide');
   next();
 };
 
 module.exports = checkApiKey;
-
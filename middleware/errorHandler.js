@@ -0,0 +1,73 @@
+const { AppError } = require('../utils/errors');
+const { translate, negotiateLanguage } = require('../utils/i18n');
+const { logger, serializeError } = require('../utils/logger');
+
+// Préfixe du champ "type" des réponses d'erreur (identifiant stable, un par code)
+const PROBLEM_TYPE_PREFIX = 'urn:tp2:problem:';
+
+// Erreurs levées par express.json() et express.text() (module body-parser)
+function fromBodyParser(err) {
+  if (err.type === 'entity.parse.failed') {
+    return new AppError(400, 'invalid_json', { messageKey: 'messages.invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError(413, 'payload_too_large', { messageKey: 'messages.payload_too_large', params: { limit: err.limit } });
+  }
+  // Autres erreurs 4xx prévues pour le client (encodage non supporté, requête interrompue...)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.status, 'invalid_request', { detail: err.message });
+  }
+  return null;
+}
+
+/**
+ * Corps RFC 7807 d'une erreur, dans la langue de la requête
+ * @param {Object} req - Requête Express
+ * @param {AppError} error
+ * @returns {Object} { type, title, status, detail, instance, code, request_id, ...extensions }
+ */
+function problemBody(req, error) {
+  const lang = req.lang || negotiateLanguage(req);
+  const detail = error.detail || (error.messageKey && translate(lang, error.messageKey, error.params));
+
+  return {
+    type: `${PROBLEM_TYPE_PREFIX}${error.code}`,
+    title: translate(lang, `errors.${error.code}`),
+    status: error.status,
+    ...(detail ? { detail } : {}),
+    instance: req.originalUrl,
+    code: error.code,
+    ...(req.id ? { request_id: req.id } : {}),
+    ...error.extensions,
+  };
+}
+
+/**
+ * Gestionnaire d'erreurs final (à déclarer après toutes les routes)
+ * Les erreurs connues (AppError) sont renvoyées au client ; les autres (SQL, bug...) sont
+ * journalisées et remplacées par une erreur 500 générique, sans détail interne.
+ * @returns {Function} Middleware d'erreur Express
+ */
+const errorHandler = () => (err, req, res, next) => {
+  // Réponse déjà commencée (flux, export) : Express coupe la connexion
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+
+  let error = err instanceof AppError ? err : fromBodyParser(err);
+  if (!error) {
+    logger.error('Erreur inattendue', {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      error: serializeError(err),
+    });
+    error = new AppError(500, 'server_error', { messageKey: 'messages.server_error' });
+  }
+
+  res.set(error.headers);
+  res.status(error.status).type('application/problem+json').json(problemBody(req, error));
+};
+
+module.exports = errorHandler;
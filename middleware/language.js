@@ -0,0 +1,17 @@
+const { negotiateLanguage, translate } = require('../utils/i18n');
+
+/**
+ * Choisit la langue des messages de la réponse (?lang=fr|en ou header Accept-Language)
+ * et ajoute req.lang et req.t(clé, paramètres) pour les contrôleurs
+ * @returns {Function} Middleware Express
+ */
+const language = () => (req, res, next) => {
+  req.lang = negotiateLanguage(req);
+  req.t = (key, params) => translate(req.lang, key, params);
+
+  res.set('Content-Language', req.lang);
+  res.vary('Accept-Language'); // Les caches ne mélangent pas les réponses des deux langues
+  next();
+};
+
+module.exports = language;
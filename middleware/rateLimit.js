@@ -0,0 +1,102 @@
+const { get } = require('../database');
+const { hashApiKey } = require('../utils/apiKeys');
+const { createMemoryStore } = require('../utils/rateLimitStores');
+const { RateLimitError } = require('../utils/errors');
+const { logger, serializeError } = require('../utils/logger');
+
+/**
+ * Identifie l'appelant : clé API si elle existe et reste utilisable, adresse IP sinon.
+ * Une clé inconnue, révoquée ou expirée ne donne pas droit à son propre budget :
+ * changer de fausse clé à chaque requête ne contourne pas la limite.
+ * @param {Object} req - Requête Express
+ * @returns {Promise<string>}
+ */
+async function defaultKeyGenerator(req) {
+  const apiKey = req.headers['x-api-key'];
+
+  if (apiKey) {
+    const query = `
+      SELECT id FROM api_keys
+      WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `;
+    const row = await get(query, [hashApiKey(apiKey)]);
+    if (row) return `key:${row.id}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Limiteur de débit à fenêtre fixe.
+ * Chaque réponse porte les headers RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+ * et RateLimit-Policy ; au-delà du budget, la réponse est 429 avec Retry-After.
+ * @param {Object} options
+ * @param {string} options.name - Nom du budget (sépare les compteurs, ex : "read", "write")
+ * @param {number} options.max - Nombre de requêtes autorisées par fenêtre
+ * @param {number} [options.windowMs=60000] - Durée de la fenêtre en millisecondes
+ * @param {Object} [options.store] - Stockage des compteurs (mémoire par défaut)
+ * @param {Function} [options.keyGenerator] - (req) => identifiant de l'appelant (ou promesse de celui-ci)
+ * @returns {Function} Middleware Express
+ */
+const rateLimit = ({
+  name,
+  max,
+  windowMs = 60 * 1000,
+  store = createMemoryStore(),
+  keyGenerator = defaultKeyGenerator,
+}) => (req, res, next) => {
+  // En cas de panne (identification ou stockage), on laisse passer plutôt que de bloquer l'API
+  const skip = (err) => {
+    logger.error('Erreur du limiteur de débit', { request_id: req.id, error: serializeError(err) });
+    next();
+  };
+
+  const count = (caller) => store.increment(`${name}:${caller}`, windowMs, (err, result) => {
+    if (err) {
+      skip(err);
+      return;
+    }
+
+    const remaining = Math.max(0, max - result.count);
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+    });
+
+    if (result.count > max) {
+      next(new RateLimitError({
+        messageKey: 'messages.rate_limited',
+        params: { max, window: Math.ceil(windowMs / 1000), retry: resetSeconds },
+        headers: { 'Retry-After': String(resetSeconds) },
+      }));
+      return;
+    }
+
+    next();
+  });
+
+  Promise.resolve()
+    .then(() => keyGenerator(req))
+    .then(count, skip);
+};
+
+/**
+ * Applique des budgets distincts aux lectures (GET, HEAD, OPTIONS) et aux écritures
+ * @param {Object} options
+ * @param {Function} options.read - Limiteur des lectures
+ * @param {Function} options.write - Limiteur des écritures
+ * @returns {Function} Middleware Express
+ */
+const rateLimitByMethod = ({ read, write }) => (req, res, next) => {
+  const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  return isRead ? read(req, res, next) : write(req, res, next);
+};
+
+module.exports = {
+  rateLimit,
+  rateLimitByMethod,
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { logger: defaultLogger } = require('../utils/logger');
+
+// X-Request-Id reçu d'un proxy ou d'un client : repris tel quel s'il reste court et sans caractères spéciaux
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Identifiant de corrélation de la requête (header X-Request-Id reçu, sinon UUID généré)
+ * @param {Object} req - Requête Express
+ * @returns {string}
+ */
+function getRequestId(req) {
+  const received = req.get('X-Request-Id');
+  return received && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+}
+
+/**
+ * Journalise chaque requête (une ligne JSON à la fin de la réponse) et ajoute req.id,
+ * renvoyé au client dans le header X-Request-Id et dans les corps d'erreur.
+ * Niveau de la ligne : error pour un statut 5xx, warn pour 4xx, info sinon.
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Journal (utils/logger.js par défaut)
+ * @returns {Function} Middleware Express
+ */
+const requestLogger = ({ logger = defaultLogger } = {}) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  req.id = getRequestId(req);
+  res.set('X-Request-Id', req.id);
+
+  // "close" est émis aussi quand le client part avant la fin (flux SSE, export interrompu)
+  res.once('close', () => {
+    const { statusCode } = res;
+    let level = 'info';
+    if (statusCode >= 500) level = 'error';
+    else if (statusCode >= 400) level = 'warn';
+
+    logger[level]('Requête traitée', {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: statusCode,
+      duration_ms: Number((process.hrtime.bigint() - start) / 1000n) / 1000,
+      ...(res.writableFinished ? {} : { aborted: true }),
+      ...(req.apiKey ? { api_key: req.apiKey.label } : {}),
+      ...(req.user ? { user: req.user.email } : {}),
+      ip: req.ip,
+    });
+  });
+
+  next();
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,60 @@
+// Content-Security-Policy des pages de l'interface : uniquement des fichiers du site
+// (Bootstrap compris, servi depuis /vendor/bootstrap).
+// Ni 'unsafe-inline' ni 'unsafe-eval' : les scripts inline, attributs onclick/onerror,
+// et attributs style sont refusés par le navigateur, même s'ils sont injectés dans la page.
+const DEFAULT_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:', 'blob:'], // data: pour les icônes SVG intégrées à Bootstrap
+  'font-src': ["'self'"],
+  'connect-src': ["'self'"],
+  'manifest-src': ["'self'"],
+  'worker-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"],
+};
+
+/**
+ * Construit la valeur du header Content-Security-Policy
+ * @param {Object} directives - { directive: [sources] }
+ * @returns {string}
+ */
+function buildPolicy(directives) {
+  return Object.entries(directives)
+    .map(([directive, sources]) => [directive, ...sources].join(' '))
+    .join('; ');
+}
+
+/**
+ * Headers de sécurité envoyés avec chaque réponse (pages, fichiers statiques et API)
+ * @param {Object} [options]
+ * @param {Object} [options.directives] - Directives CSP remplaçant celles par défaut
+ *   (ex : { 'style-src': ["'self'", "'unsafe-inline'"] } pour une page qui en a besoin)
+ * @returns {Function} Middleware Express
+ */
+const securityHeaders = ({ directives = {} } = {}) => {
+  const policy = buildPolicy({ ...DEFAULT_DIRECTIVES, ...directives });
+
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': policy,
+      'X-Content-Type-Options': 'nosniff', // Pas de fichier interprété comme script ou HTML par erreur
+      'X-Frame-Options': 'DENY', // Équivalent de frame-ancestors pour les anciens navigateurs
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+    });
+
+    // HTTPS : le navigateur n'utilisera plus HTTP pour ce site pendant un an
+    if (req.secure) {
+      res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+
+    next();
+  };
+};
+
+module.exports = securityHeaders;
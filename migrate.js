@@ -0,0 +1,64 @@
+const { db } = require('./database');
+const { migrateUp, migrateDown, migrationStatus } = require('./utils/migrator');
+
+// Usage :
+//   npm run migrate               applique les migrations en attente
+//   npm run migrate:down [-- n]   annule les n dernières migrations (1 par défaut)
+//   npm run migrate:status        affiche l'état de chaque migration
+const [command = 'up', stepsArg = '1'] = process.argv.slice(2);
+
+async function up() {
+  const applied = await migrateUp(db);
+  if (!applied.length) {
+    console.log('✅  Aucune migration en attente');
+    return;
+  }
+  applied.forEach((name) => console.log(`⬆️  ${name}`));
+  console.log(`\n🎉  ${applied.length} migration(s) appliquée(s)`);
+}
+
+async function down() {
+  const steps = Number(stepsArg);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('Le nombre de migrations à annuler doit être un entier positif');
+  }
+
+  const reverted = await migrateDown(db, steps);
+  if (!reverted.length) {
+    console.log('✅  Aucune migration à annuler');
+    return;
+  }
+  reverted.forEach((name) => console.log(`⬇️  ${name}`));
+  console.log(`\n🎉  ${reverted.length} migration(s) annulée(s)`);
+}
+
+async function status() {
+  const migrations = await migrationStatus(db);
+  migrations.forEach(({ version, name, appliedAt }) => {
+    const state = appliedAt ? `✅  appliquée le ${appliedAt}` : '⏳ en attente';
+    console.log(`${version}_${name}  ${state}`);
+  });
+}
+
+const commands = { up, down, status };
+
+async function main() {
+  const action = commands[command];
+  if (!action) {
+    console.error(`Commande inconnue "${command}". Commandes : ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    db.close();
+    return;
+  }
+
+  try {
+    await action();
+  } catch (error) {
+    console.error('❌  Échec de la migration:', error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,19 @@
+// Table principale des voitures
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS cars (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      brand TEXT NOT NULL,
+      model TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      color TEXT,
+      price REAL,
+      mileage INTEGER,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS cars;
+  `,
+};
@@ -0,0 +1,42 @@
+// Index plein texte (FTS5) sur la marque, le modèle et la description.
+// - content='cars' : l'index ne duplique pas les données, il lit la table cars
+// - remove_diacritics 2 : "Légendaire" et "legendaire" donnent les mêmes termes
+// Les triggers maintiennent l'index synchronisé avec la table cars.
+module.exports = {
+  up: `
+    CREATE VIRTUAL TABLE IF NOT EXISTS cars_fts USING fts5(
+      brand,
+      model,
+      description,
+      content='cars',
+      content_rowid='id',
+      tokenize='unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS cars_fts_insert AFTER INSERT ON cars BEGIN
+      INSERT INTO cars_fts(rowid, brand, model, description)
+      VALUES (new.id, new.brand, new.model, new.description);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS cars_fts_delete AFTER DELETE ON cars BEGIN
+      INSERT INTO cars_fts(cars_fts, rowid, brand, model, description)
+      VALUES ('delete', old.id, old.brand, old.model, old.description);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS cars_fts_update AFTER UPDATE ON cars BEGIN
+      INSERT INTO cars_fts(cars_fts, rowid, brand, model, description)
+      VALUES ('delete', old.id, old.brand, old.model, old.description);
+      INSERT INTO cars_fts(rowid, brand, model, description)
+      VALUES (new.id, new.brand, new.model, new.description);
+    END;
+
+    -- Indexe les voitures insérées avant la création de l'index
+    INSERT INTO cars_fts(cars_fts) VALUES ('rebuild');
+  `,
+  down: `
+    DROP TRIGGER IF EXISTS cars_fts_update;
+    DROP TRIGGER IF EXISTS cars_fts_delete;
+    DROP TRIGGER IF EXISTS cars_fts_insert;
+    DROP TABLE IF EXISTS cars_fts;
+  `,
+};
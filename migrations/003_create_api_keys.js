@@ -0,0 +1,20 @@
+// Clés API : seule l'empreinte SHA-256 de la clé est stockée, jamais la clé en clair.
+// scopes : liste séparée par des espaces (cars:read, cars:write, admin)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS api_keys;
+  `,
+};
@@ -0,0 +1,15 @@
+// Comptes utilisateurs de l'interface web (mot de passe haché avec scrypt)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor', 'admin')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS users;
+  `,
+};
@@ -0,0 +1,14 @@
+// Compteurs du limiteur de débit (stockage sqlite, voir utils/rateLimitStores.js)
+// reset_at : fin de la fenêtre courante, en millisecondes depuis l'epoch
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS rate_limits;
+  `,
+};
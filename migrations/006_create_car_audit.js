@@ -0,0 +1,23 @@
+// Historique des créations, modifications et suppressions de voitures.
+// car_id n'est pas une clé étrangère : l'historique d'une voiture supprimée est conservé.
+// changes : JSON { champ: { before, after } }
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS car_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      car_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      actor_type TEXT NOT NULL CHECK (actor_type IN ('api_key', 'user')),
+      actor_id INTEGER NOT NULL,
+      actor_label TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS car_audit_car_id ON car_audit (car_id);
+    CREATE INDEX IF NOT EXISTS car_audit_created_at ON car_audit (created_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS car_audit;
+  `,
+};
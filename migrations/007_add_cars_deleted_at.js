@@ -0,0 +1,11 @@
+// Suppression logique : une voiture supprimée reçoit une date deleted_at et part dans la corbeille
+module.exports = {
+  up: `
+    ALTER TABLE cars ADD COLUMN deleted_at DATETIME;
+    CREATE INDEX IF NOT EXISTS cars_deleted_at ON cars (deleted_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS cars_deleted_at;
+    ALTER TABLE cars DROP COLUMN deleted_at;
+  `,
+};
@@ -0,0 +1,34 @@
+// Ajoute les actions "restore" (sortie de corbeille) et "purge" (suppression définitive)
+// à l'historique. SQLite ne permet pas de modifier une contrainte CHECK : la table est recréée.
+const createAuditTable = (actions) => `
+  CREATE TABLE car_audit_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    car_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN (${actions.map((action) => `'${action}'`).join(', ')})),
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('api_key', 'user')),
+    actor_id INTEGER NOT NULL,
+    actor_label TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const replaceAuditTable = `
+  DROP TABLE car_audit;
+  ALTER TABLE car_audit_new RENAME TO car_audit;
+  CREATE INDEX IF NOT EXISTS car_audit_car_id ON car_audit (car_id);
+  CREATE INDEX IF NOT EXISTS car_audit_created_at ON car_audit (created_at);
+`;
+
+module.exports = {
+  up: `
+    ${createAuditTable(['create', 'update', 'delete', 'restore', 'purge'])}
+    INSERT INTO car_audit_new SELECT * FROM car_audit;
+    ${replaceAuditTable}
+  `,
+  down: `
+    ${createAuditTable(['create', 'update', 'delete'])}
+    INSERT INTO car_audit_new SELECT * FROM car_audit WHERE action IN ('create', 'update', 'delete');
+    ${replaceAuditTable}
+  `,
+};
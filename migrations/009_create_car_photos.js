@@ -0,0 +1,23 @@
+// Photos des voitures : le fichier est stocké sur le disque (dossier uploads), ses métadonnées ici.
+// position : ordre d'affichage dans la galerie, is_cover : photo de couverture (une seule par voiture)
+// Les clés étrangères ne sont pas activées (PRAGMA foreign_keys) : la purge d'une voiture supprime ses photos.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS car_photos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      car_id INTEGER NOT NULL REFERENCES cars (id),
+      filename TEXT NOT NULL UNIQUE,
+      original_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      is_cover INTEGER NOT NULL DEFAULT 0 CHECK (is_cover IN (0, 1)),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS car_photos_car_id ON car_photos (car_id, position);
+  `,
+  down: `
+    DROP TABLE IF EXISTS car_photos;
+  `,
+};
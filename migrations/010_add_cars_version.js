@@ -0,0 +1,14 @@
+// Concurrence optimiste : version incrémentée à chaque modification (sert d'ETag), date de dernière modification.
+// ALTER TABLE n'accepte pas CURRENT_TIMESTAMP comme valeur par défaut : les INSERT renseignent updated_at.
+module.exports = {
+  up: `
+    ALTER TABLE cars ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE cars ADD COLUMN updated_at DATETIME;
+
+    UPDATE cars SET updated_at = COALESCE(deleted_at, created_at);
+  `,
+  down: `
+    ALTER TABLE cars DROP COLUMN updated_at;
+    ALTER TABLE cars DROP COLUMN version;
+  `,
+};
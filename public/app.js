@@ -7,23 +7,74 @@
  * et la suppression de voitures via l'API REST.
  * 
  * Technologies utilisées :
- * - Fetch API pour communiquer avec le backend
- * - Manipulation du DOM pour créer dynamiquement le contenu
+ * - Client de l'API partagé (cars-client.mjs) pour communiquer avec le backend
+ * - Manipulation du DOM pour créer dynamiquement le contenu (gabarits échappés de dom.mjs)
  * - async/await pour gérer les requêtes asynchrones
  * - Bootstrap 5 pour le design responsive
+ * - Service worker et file d'attente IndexedDB (offline.mjs) pour travailler hors connexion
+ * - Textes et formats (nombres, prix, dates) en français ou en anglais (i18n.mjs)
  */
 
+import { CarsClient } from './cars-client.mjs';
+import { html, render } from './dom.mjs';
+import { lang, t, formatNumber, formatPrice, formatMileage, translatePage, initLanguageSelect } from './i18n.mjs';
+import {
+  registerServiceWorker,
+  watchConnection,
+  isOfflineError,
+  queueMutation,
+  listPendingMutations,
+  replayOutbox,
+  describeConflict,
+} from './offline.mjs';
+
 // ========== CONFIGURATION ==========
 
 /**
- * URL de base de l'API (relative pour fonctionner en local ET sur Render)
+ * Client de l'API (même origine, cookie de session envoyé par le navigateur)
+ * Session expirée : retour à la page de connexion (voir auth.js)
+ * Messages de l'API dans la langue de l'interface
+ */
+const api = new CarsClient({ onUnauthorized: redirectToLogin, lang });
+
+/**
+ * Utilisateur connecté (défini au chargement de la page, voir auth.js)
+ */
+let currentUser = null;
+
+/**
+ * Voitures affichées dans le tableau, par ID (mises à jour en direct, voir initLiveUpdates)
+ */
+const displayedCars = new Map();
+
+/**
+ * État par défaut de la liste (omis dans l'URL)
+ */
+const LIST_DEFAULTS = {
+  sort: 'year:desc',
+  page: 1,
+  limit: 20,
+};
+
+/**
+ * Filtres de la liste (mêmes noms que les paramètres de GET /api/cars)
+ */
+const FILTER_KEYS = ['q', 'brand', 'yearMin', 'yearMax', 'priceMin', 'priceMax'];
+
+/**
+ * Tailles de page proposées
  */
-const API_BASE_URL = '/api/cars';
+const PAGE_SIZES = [10, 20, 50, 100];
 
 /**
- * Clé API nécessaire pour authentifier les requêtes
+ * Délai de regroupement des créations reçues en direct (un import en publie une par voiture)
  */
-const API_KEY = 'ma-super-cle-api-2024';
+const LIVE_CREATED_DELAY = 500;
+
+/**
+ * Voitures créées ailleurs, en attente de l'alerte groupée (voir handleCarCreated)
+ */
+let pendingCreatedCars = [];
 
 // ========== SÉLECTEURS DOM ==========
 
@@ -32,8 +83,24 @@ const API_KEY = 'ma-super-cle-api-2024';
  */
 const carsTbody = document.getElementById('cars-tbody');
 const alertContainer = document.getElementById('alert-container');
+const offlineBanner = document.getElementById('offline-banner');
 const carForm = document.getElementById('car-form');
 const refreshBtn = document.getElementById('refresh-btn');
+const filterForm = document.getElementById('filter-form');
+const filterResetBtn = document.getElementById('filter-reset-btn');
+const sortHeaders = document.querySelectorAll('#cars-table th[data-sort]');
+const pageSizeSelect = document.getElementById('page-size');
+const pagination = document.getElementById('pagination');
+const listSummary = document.getElementById('list-summary');
+const exportLinks = document.querySelectorAll('a[href^="/api/cars/export"]');
+const importForm = document.getElementById('import-form');
+const importFileInput = document.getElementById('import-file');
+const importConfirmBtn = document.getElementById('import-confirm-btn');
+const importReport = document.getElementById('import-report');
+const importSummary = document.getElementById('import-summary');
+const importReportTbody = document.getElementById('import-report-tbody');
+const userMenu = document.getElementById('user-menu');
+const languageSelect = document.getElementById('language-select');
 
 // ========== FONCTIONS UTILITAIRES UI ==========
 
@@ -42,15 +109,29 @@ const refreshBtn = document.getElementById('refresh-btn');
  * @param {string} message - Message à afficher
  * @param {string} type - Type d'alerte ('success', 'danger', 'warning', 'info')
  * @param {number} duration - Durée d'affichage en ms (0 = permanent)
+ * @param {{label: string, onClick: Function}|null} action - Bouton optionnel (ex : "Annuler")
  */
-function showAlert(message, type = 'info', duration = 4000) {
+function showAlert(message, type = 'info', duration = 4000, action = null) {
   const wrapper = document.createElement('div');
-  wrapper.innerHTML = `
+  render(wrapper, html`
     <div class="alert alert-${type} alert-dismissible fade show" role="alert">
       ${message}
-      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Fermer"></button>
+      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="${t('common.close')}"></button>
     </div>
-  `;
+  `);
+
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'btn btn-link alert-link p-0 ms-2 align-baseline';
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener('click', () => {
+      wrapper.remove();
+      action.onClick();
+    });
+    wrapper.querySelector('.btn-close').before(actionBtn);
+  }
+
   alertContainer.appendChild(wrapper);
 
   if (duration) {
@@ -61,74 +142,51 @@ function showAlert(message, type = 'info', duration = 4000) {
 }
 
 /**
- * Formate un nombre avec des séparateurs de milliers (format français)
- * @param {number|string|null} value - Valeur à formater
- * @returns {string} Nombre formaté ou '-' si valeur vide
+ * Affiche les erreurs de validation sous les champs correspondants du formulaire
+ * @param {Array<{field: string, message: string}>} fieldErrors - Erreurs renvoyées par l'API
  */
-function formatNumber(value) {
-  if (value === null || value === undefined || value === '') return '-';
-  return new Intl.NumberFormat('fr-FR').format(Number(value));
+function showFieldErrors(fieldErrors) {
+  fieldErrors.forEach(({ field, message }) => {
+    const input = carForm.elements[field];
+    const feedback = carForm.querySelector(`[data-error-for="${field}"]`);
+    if (!input || !feedback) return;
+
+    input.classList.add('is-invalid');
+    feedback.textContent = message;
+  });
 }
 
-// ========== REQUÊTES API ==========
-
 /**
- * Fonction générique pour effectuer des requêtes API avec authentification
- * @param {string} url - URL de la requête
- * @param {Object} options - Options de la requête (method, body, etc.)
- * @returns {Promise<Object>} Données JSON de la réponse
- * @throws {Error} Si la requête échoue
- */
-async function apiFetch(url, options = {}) {
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-    'x-api-key': API_KEY,
-  };
-
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...defaultHeaders,
-      ...(options.headers || {}),
-    },
+ * Retire les erreurs de validation affichées dans le formulaire
+ */
+function clearFieldErrors() {
+  carForm.querySelectorAll('.is-invalid').forEach((input) => {
+    input.classList.remove('is-invalid');
+  });
+  carForm.querySelectorAll('[data-error-for]').forEach((feedback) => {
+    feedback.textContent = '';
   });
-
-  // Vérifier le type de contenu de la réponse
-  const contentType = response.headers.get('Content-Type') || '';
-  const isJson = contentType.includes('application/json');
-  const data = isJson ? await response.json() : null;
-
-  // Gérer les erreurs HTTP
-  if (!response.ok) {
-    const errorMessage =
-      (data && (data.message || data.error)) ||
-      `Erreur HTTP ${response.status}`;
-    throw new Error(errorMessage);
-  }
-
-  return data;
 }
 
+// ========== REQUÊTES API ==========
+
 /**
- * Récupère toutes les voitures depuis l'API
- * @returns {Promise<Array>} Tableau des voitures
+ * Récupère une page de voitures depuis l'API (filtres, tri et pagination côté serveur)
+ * @param {Object} state - État de la liste (voir readListState)
+ * @returns {Promise<Object>} Réponse complète : data, total, page, pages...
  */
-async function fetchCars() {
-  const data = await apiFetch(API_BASE_URL);
-  return data.data || [];
+async function fetchCars(state) {
+  return api.listCars(Object.fromEntries(listStateToParams(state, { keepDefaults: true })));
 }
 
 /**
  * Crée une nouvelle voiture via l'API
  * @param {Object} car - Objet voiture à créer
- * @returns {Promise<Object>} Voiture créée avec son ID
+ * @returns {Promise<Object>} Voiture créée avec son ID et l'ETag de sa version
  */
 async function createCar(car) {
-  const data = await apiFetch(API_BASE_URL, {
-    method: 'POST',
-    body: JSON.stringify(car),
-  });
-  return data.data;
+  const { car: created, etag } = await api.createCar(car);
+  return { ...created, etag };
 }
 
 /**
@@ -137,9 +195,30 @@ async function createCar(car) {
  * @returns {Promise<void>}
  */
 async function deleteCar(id) {
-  await apiFetch(`${API_BASE_URL}/${id}`, {
-    method: 'DELETE',
-  });
+  await api.deleteCar(id);
+}
+
+/**
+ * Restaure une voiture placée dans la corbeille
+ * @param {number|string} id - ID de la voiture à restaurer
+ * @returns {Promise<Object>} Voiture restaurée
+ */
+async function restoreCar(id) {
+  const { car } = await api.restoreCar(id);
+  return car;
+}
+
+/**
+ * Envoie un fichier d'import (CSV ou JSON) à l'API
+ * @param {File} file - Fichier choisi par l'utilisateur
+ * @param {boolean} dryRun - true pour valider sans rien enregistrer
+ * @returns {Promise<Object>} Rapport d'import (total, accepted, rejected, report)
+ */
+async function importCars(file, dryRun) {
+  const content = await file.text();
+  const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+
+  return api.importCars(content, { dryRun, format: isJson ? 'json' : 'csv' });
 }
 
 // ========== MANIPULATION DU DOM ==========
@@ -153,83 +232,446 @@ function createCarRow(car) {
   const tr = document.createElement('tr');
   tr.dataset.id = car.id;
 
-  tr.innerHTML = `
+  render(tr, html`
     <td>${car.id}</td>
-    <td><a href="car.html?id=${car.id}" class="text-decoration-none">${car.brand}</a></td>
+    <td>
+      <a href="car.html?id=${car.id}" class="text-decoration-none d-flex align-items-center gap-2">
+        ${car.cover_url && html`<img src="${car.cover_url}" alt="" class="car-cover rounded" loading="lazy" />`}
+        ${car.brand}
+      </a>
+    </td>
     <td><a href="car.html?id=${car.id}" class="text-decoration-none">${car.model}</a></td>
     <td>${car.year}</td>
     <td>${car.color || '-'}</td>
-    <td>${car.price != null ? formatNumber(car.price) + ' €' : '-'}</td>
-    <td>${car.mileage != null ? formatNumber(car.mileage) + ' km' : '-'}</td>
+    <td>${formatPrice(car.price)}</td>
+    <td>${formatMileage(car.mileage)}</td>
     <td>${car.description || '-'}</td>
     <td>
       <div class="btn-group" role="group">
-        <a href="car.html?id=${car.id}" class="btn btn-sm btn-outline-primary">Voir</a>
+        <a href="car.html?id=${car.id}" class="btn btn-sm btn-outline-primary">${t('list.view')}</a>
+        ${hasRole(currentUser, 'editor') && html`
         <button class="btn btn-sm btn-outline-danger btn-delete">
-          Supprimer
-        </button>
+          ${t('list.delete')}
+        </button>`}
       </div>
     </td>
-  `;
+  `);
 
   const deleteBtn = tr.querySelector('.btn-delete');
+  if (!deleteBtn) return tr;
+
   deleteBtn.addEventListener('click', async () => {
     const confirmDelete = window.confirm(
-      `Supprimer la voiture #${car.id} (${car.brand} ${car.model}) ?`,
+      t('list.confirm_delete', { id: car.id, label: `${car.brand} ${car.model}` }),
     );
     if (!confirmDelete) return;
 
     try {
       await deleteCar(car.id);
       tr.remove();
-      showAlert('Voiture supprimée avec succès.', 'success');
+      displayedCars.delete(car.id);
+      showAlert(t('list.deleted'), 'success', 8000, {
+        label: t('list.undo'),
+        onClick: () => handleUndoDelete(car.id),
+      });
     } catch (error) {
-      showAlert(`Erreur lors de la suppression : ${error.message}`, 'danger');
+      if (!isOfflineError(error)) {
+        showAlert(t('list.delete_error', { message: error.message }), 'danger');
+        return;
+      }
+
+      // Hors ligne : suppression conditionnée à la version affichée, envoyée au retour du réseau
+      await queueMutation(currentUser, {
+        type: 'delete',
+        carId: car.id,
+        etag: car.etag,
+        label: `${car.brand} ${car.model}`,
+      });
+      tr.remove();
+      displayedCars.delete(car.id);
+      showAlert(t('common.delete_queued'), 'warning');
     }
   });
 
   return tr;
 }
 
+/**
+ * Crée une ligne pour une voiture ajoutée hors ligne (pas encore d'ID ni d'actions)
+ * @param {Object} car - Voiture en attente d'envoi
+ * @returns {HTMLTableRowElement}
+ */
+function createPendingRow(car) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-warning';
+
+  const values = [
+    '…',
+    car.brand,
+    car.model,
+    car.year,
+    car.color || '-',
+    formatPrice(car.price),
+    formatMileage(car.mileage),
+    car.description || '-',
+  ];
+  values.forEach((value) => {
+    const td = document.createElement('td');
+    td.textContent = value;
+    tr.appendChild(td);
+  });
+
+  const statusCell = document.createElement('td');
+  const badge = document.createElement('span');
+  badge.className = 'badge text-bg-warning';
+  badge.textContent = t('list.pending');
+  statusCell.appendChild(badge);
+  tr.appendChild(statusCell);
+
+  return tr;
+}
+
 /**
  * Affiche la liste des voitures dans le tableau
  * @param {Array} cars - Tableau des voitures à afficher
+ * @param {Array} [pending=[]] - Modifications faites hors ligne, pas encore envoyées
  */
-function renderCars(cars) {
-  carsTbody.innerHTML = '';
-  if (!cars.length) {
+function renderCars(cars, pending = []) {
+  carsTbody.replaceChildren();
+  displayedCars.clear();
+
+  // Les ajouts en attente apparaissent en tête, les suppressions en attente sont masquées
+  const pendingCreates = pending.filter((mutation) => mutation.type === 'create');
+  const pendingDeletes = pending.filter((mutation) => mutation.type === 'delete').map((mutation) => mutation.carId);
+  const visibleCars = cars.filter((car) => !pendingDeletes.includes(car.id));
+
+  if (!visibleCars.length && !pendingCreates.length) {
     const tr = document.createElement('tr');
-    tr.innerHTML =
-      '<td colspan="9" class="text-center text-muted py-3">Aucune voiture trouvée.</td>';
+    render(tr, html`<td colspan="9" class="text-center text-muted py-3">${t('list.empty')}</td>`);
     carsTbody.appendChild(tr);
     return;
   }
 
-  cars.forEach((car) => {
+  pendingCreates.forEach((mutation) => carsTbody.appendChild(createPendingRow(mutation.car)));
+  visibleCars.forEach((car) => {
     const row = createCarRow(car);
     carsTbody.appendChild(row);
+    displayedCars.set(car.id, car);
+  });
+}
+
+/**
+ * Met brièvement une ligne en évidence (modification reçue en direct)
+ * @param {HTMLTableRowElement} row - Ligne concernée
+ */
+function highlightRow(row) {
+  row.classList.add('table-info');
+  setTimeout(() => row.classList.remove('table-info'), 2000);
+}
+
+/**
+ * Indique la colonne triée dans les en-têtes (flèche et aria-sort)
+ * @param {string} sort - Tri courant (ex : "price:asc")
+ */
+function renderSortHeaders(sort) {
+  const [column, direction] = sort.split(':');
+
+  sortHeaders.forEach((th) => {
+    const isSorted = th.dataset.sort === column;
+    th.setAttribute('aria-sort', isSorted ? (direction === 'asc' ? 'ascending' : 'descending') : 'none');
+    th.querySelector('.sort-indicator').textContent = isSorted ? (direction === 'asc' ? '▲' : '▼') : '';
+  });
+}
+
+/**
+ * Crée un élément de pagination Bootstrap
+ * @param {string} label - Texte affiché
+ * @param {number} page - Page visée
+ * @param {Object} options
+ * @param {boolean} [options.disabled=false]
+ * @param {boolean} [options.active=false]
+ * @param {string} [options.ariaLabel]
+ * @returns {HTMLLIElement}
+ */
+function createPageItem(label, page, { disabled = false, active = false, ariaLabel } = {}) {
+  const li = document.createElement('li');
+  li.className = `page-item${disabled ? ' disabled' : ''}${active ? ' active' : ''}`;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'page-link';
+  button.textContent = label;
+  if (ariaLabel) button.setAttribute('aria-label', ariaLabel);
+  if (active) button.setAttribute('aria-current', 'page');
+  button.disabled = disabled;
+  button.addEventListener('click', () => navigateList({ page }));
+
+  li.appendChild(button);
+  return li;
+}
+
+/**
+ * Affiche le résumé et les boutons de pagination
+ * @param {Object} result - Réponse de GET /api/cars (total, page, limit, pages)
+ */
+function renderPagination({ total, page, limit, pages, count }) {
+  const first = total ? (page - 1) * limit + 1 : 0;
+  listSummary.textContent = total
+    ? t('list.summary', { first: formatNumber(first), last: formatNumber(first + count - 1), total: formatNumber(total) })
+    : '';
+
+  pagination.replaceChildren();
+  if (pages <= 1) return;
+
+  pagination.appendChild(createPageItem('‹', page - 1, { disabled: page === 1, ariaLabel: t('list.previous') }));
+
+  // Pages voisines de la page courante, plus la première et la dernière
+  const shown = [...new Set([1, page - 1, page, page + 1, pages])]
+    .filter((number) => number >= 1 && number <= pages)
+    .sort((a, b) => a - b);
+
+  shown.forEach((number, index) => {
+    if (index && number - shown[index - 1] > 1) {
+      pagination.appendChild(createPageItem('…', number, { disabled: true }));
+    }
+    pagination.appendChild(createPageItem(String(number), number, { active: number === page }));
+  });
+
+  pagination.appendChild(createPageItem('›', page + 1, { disabled: page === pages, ariaLabel: t('list.next') }));
+}
+
+/**
+ * Remplit le formulaire de filtres et la taille de page à partir de l'état
+ * @param {Object} state - État de la liste
+ */
+function fillListControls(state) {
+  FILTER_KEYS.forEach((key) => {
+    filterForm.elements[key].value = state[key] || '';
+  });
+  pageSizeSelect.value = String(state.limit);
+}
+
+/**
+ * Les liens d'export reprennent les filtres et le tri affichés
+ * @param {Object} state - État de la liste
+ */
+function updateExportLinks(state) {
+  exportLinks.forEach((link) => {
+    const url = new URL(link.href, window.location.origin);
+    const params = listStateToParams(state);
+    params.delete('page');
+    params.delete('limit');
+    params.set('format', url.searchParams.get('format') || 'csv');
+    link.href = `${url.pathname}?${params.toString()}`;
+  });
+}
+
+/**
+ * Affiche le rapport d'import ligne par ligne
+ * @param {Object} result - Réponse de POST /api/cars/import
+ */
+function renderImportReport(result) {
+  importSummary.textContent = result.dryRun
+    ? t('import.preview_summary', { accepted: result.accepted, rejected: result.rejected, total: result.total })
+    : t('import.summary', { imported: result.imported, rejected: result.rejected, total: result.total });
+
+  importReportTbody.replaceChildren();
+  result.report.forEach((entry) => {
+    const tr = document.createElement('tr');
+    tr.className = entry.status === 'accepted' ? '' : 'table-danger';
+
+    const lineCell = document.createElement('td');
+    lineCell.textContent = entry.line || entry.row;
+
+    const statusCell = document.createElement('td');
+    statusCell.textContent = t(entry.status === 'accepted' ? 'import.accepted' : 'import.rejected');
+
+    const carCell = document.createElement('td');
+    carCell.textContent = entry.data
+      ? `${entry.data.brand} ${entry.data.model} (${entry.data.year})`
+      : '-';
+
+    const errorsCell = document.createElement('td');
+    errorsCell.className = 'small';
+    errorsCell.textContent = (entry.errors || []).map((error) => error.message).join(' · ') || '-';
+
+    tr.append(lineCell, statusCell, carCell, errorsCell);
+    importReportTbody.appendChild(tr);
   });
+
+  importReport.classList.remove('d-none');
+}
+
+// ========== ÉTAT DE LA LISTE (URL) ==========
+
+/**
+ * Lit l'état de la liste (filtres, tri, page) depuis la query string de l'URL
+ * Les valeurs invalides sont remplacées par les valeurs par défaut.
+ * @returns {Object} { q, brand, yearMin, yearMax, priceMin, priceMax, sort, page, limit }
+ */
+function readListState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = { ...LIST_DEFAULTS };
+
+  FILTER_KEYS.forEach((key) => {
+    const value = (params.get(key) || '').trim();
+    if (value) state[key] = value;
+  });
+
+  const sort = params.get('sort') || '';
+  const [column, direction] = sort.split(':');
+  if (Array.from(sortHeaders).some((th) => th.dataset.sort === column) && ['asc', 'desc'].includes(direction)) {
+    state.sort = sort;
+  }
+
+  const page = Number(params.get('page'));
+  if (Number.isInteger(page) && page >= 1) state.page = page;
+
+  const limit = Number(params.get('limit'));
+  if (PAGE_SIZES.includes(limit)) state.limit = limit;
+
+  return state;
+}
+
+/**
+ * Convertit l'état de la liste en paramètres d'URL (valeurs par défaut omises sauf demande)
+ * @param {Object} state - État de la liste
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDefaults=false] - true pour inclure tri, page et taille par défaut
+ * @returns {URLSearchParams}
+ */
+function listStateToParams(state, { keepDefaults = false } = {}) {
+  const params = new URLSearchParams();
+
+  FILTER_KEYS.forEach((key) => {
+    if (state[key]) params.set(key, state[key]);
+  });
+  Object.keys(LIST_DEFAULTS).forEach((key) => {
+    if (keepDefaults || state[key] !== LIST_DEFAULTS[key]) params.set(key, state[key]);
+  });
+
+  return params;
+}
+
+/**
+ * Modifie l'état de la liste : nouvelle entrée d'historique puis rechargement
+ * @param {Object} changes - Valeurs à modifier (ex : { page: 2 })
+ */
+function navigateList(changes) {
+  const state = { ...readListState(), ...changes };
+  const query = listStateToParams(state).toString();
+
+  window.history.pushState(null, '', query ? `?${query}` : window.location.pathname);
+  handleRefresh();
 }
 
 // ========== GESTION DES ÉVÉNEMENTS ==========
 
 /**
- * Gère le rafraîchissement de la liste des voitures
+ * Gère le rafraîchissement de la liste des voitures (état lu dans l'URL)
  */
 async function handleRefresh() {
+  const state = readListState();
+  fillListControls(state);
+  renderSortHeaders(state.sort);
+  updateExportLinks(state);
+
   try {
     refreshBtn.disabled = true;
-    refreshBtn.textContent = 'Chargement...';
-    const cars = await fetchCars();
-    renderCars(cars);
+    refreshBtn.textContent = t('common.loading');
+    const result = await fetchCars(state);
+
+    // Page devenue vide (suppressions) : on revient à la dernière page existante
+    if (!result.data.length && result.pages && state.page > result.pages) {
+      const query = listStateToParams({ ...state, page: result.pages }).toString();
+      window.history.replaceState(null, '', `?${query}`);
+      await handleRefresh();
+      return;
+    }
+
+    renderCars(result.data, await listPendingMutations(currentUser));
+    renderPagination(result);
   } catch (error) {
-    showAlert(`Erreur lors du chargement des voitures : ${error.message}`, 'danger');
+    showAlert(t('list.load_error', { message: error.message }), 'danger');
   } finally {
     refreshBtn.disabled = false;
-    refreshBtn.textContent = 'Rafraîchir';
+    refreshBtn.textContent = t('common.refresh');
+  }
+}
+
+/**
+ * Annule une suppression en restaurant la voiture, puis recharge la liste
+ * @param {number|string} id - ID de la voiture supprimée
+ */
+async function handleUndoDelete(id) {
+  try {
+    await restoreCar(id);
+    showAlert(t('list.undone'), 'success');
+    await handleRefresh();
+  } catch (error) {
+    showAlert(t('list.undo_error', { message: error.message }), 'danger');
   }
 }
 
+/**
+ * Applique les filtres saisis (retour à la première page)
+ * @param {Event} event - Événement de soumission du formulaire de filtres
+ */
+function handleFilterSubmit(event) {
+  event.preventDefault();
+
+  const formData = new FormData(filterForm);
+  const changes = { page: 1 };
+  FILTER_KEYS.forEach((key) => {
+    changes[key] = String(formData.get(key) || '').trim();
+  });
+
+  navigateList(changes);
+}
+
+/**
+ * Efface tous les filtres (le tri et la taille de page sont conservés)
+ */
+function handleFilterReset() {
+  const changes = { page: 1 };
+  FILTER_KEYS.forEach((key) => {
+    changes[key] = '';
+  });
+
+  navigateList(changes);
+}
+
+/**
+ * Trie sur une colonne ; un second clic sur la même colonne inverse l'ordre
+ * @param {string} column - Colonne cliquée
+ */
+function handleSort(column) {
+  const [currentColumn, currentDirection] = readListState().sort.split(':');
+  const direction = column === currentColumn && currentDirection === 'asc' ? 'desc' : 'asc';
+
+  navigateList({ sort: `${column}:${direction}`, page: 1 });
+}
+
+/**
+ * Rend les en-têtes de colonnes cliquables (bouton accessible au clavier)
+ */
+function initSortHeaders() {
+  sortHeaders.forEach((th) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-link btn-sm p-0 text-reset text-decoration-none fw-bold';
+    button.textContent = th.textContent;
+
+    const indicator = document.createElement('span');
+    indicator.className = 'sort-indicator ms-1';
+    indicator.setAttribute('aria-hidden', 'true');
+    button.appendChild(indicator);
+
+    button.addEventListener('click', () => handleSort(th.dataset.sort));
+    th.replaceChildren(button);
+  });
+}
+
 /**
  * Récupère et formate les données du formulaire
  * @returns {Object} Objet voiture avec les données formatées
@@ -262,23 +704,82 @@ async function handleFormSubmit(event) {
 
   const submitBtn = carForm.querySelector('button[type="submit"]');
   submitBtn.disabled = true;
-  submitBtn.textContent = 'Ajout...';
+  submitBtn.textContent = t('form.submitting');
+  clearFieldErrors();
+  const car = getCarFormData();
 
   try {
-    const car = getCarFormData();
     const created = await createCar(car);
 
     // Ajouter la nouvelle voiture au début du tableau
     const newRow = createCarRow(created);
     carsTbody.prepend(newRow);
+    displayedCars.set(created.id, created);
 
     carForm.reset();
-    showAlert('Voiture ajoutée avec succès.', 'success');
+    showAlert(t('form.created'), 'success');
   } catch (error) {
-    showAlert(`Erreur lors de l’ajout : ${error.message}`, 'danger');
+    // Hors ligne : l'ajout est mis en attente et envoyé au retour du réseau
+    if (isOfflineError(error)) {
+      await queueMutation(currentUser, { type: 'create', car });
+      carsTbody.prepend(createPendingRow(car));
+      carForm.reset();
+      showAlert(t('form.queued'), 'warning');
+      return;
+    }
+
+    if (error.fieldErrors && error.fieldErrors.length) {
+      showFieldErrors(error.fieldErrors);
+    }
+    showAlert(t('form.error', { message: error.message }), 'danger');
   } finally {
     submitBtn.disabled = false;
-    submitBtn.textContent = 'Ajouter';
+    submitBtn.textContent = t('form.submit');
+  }
+}
+
+/**
+ * Prévisualise l'import (validation sans écriture) avant confirmation
+ * @param {Event} event - Événement de soumission du formulaire d'import
+ */
+async function handleImportPreview(event) {
+  event.preventDefault();
+
+  const [file] = importFileInput.files;
+  if (!file) return;
+
+  importConfirmBtn.disabled = true;
+  try {
+    const result = await importCars(file, true);
+    renderImportReport(result);
+    importConfirmBtn.disabled = result.accepted === 0;
+  } catch (error) {
+    importReport.classList.add('d-none');
+    showAlert(t('import.preview_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Confirme l'import des lignes acceptées puis recharge la liste
+ */
+async function handleImportConfirm() {
+  const [file] = importFileInput.files;
+  if (!file) return;
+
+  importConfirmBtn.disabled = true;
+  importConfirmBtn.textContent = t('import.submitting');
+
+  try {
+    const result = await importCars(file, false);
+    renderImportReport(result);
+    showAlert(t('import.done', { count: result.imported }), 'success');
+    importFileInput.value = '';
+    await handleRefresh();
+  } catch (error) {
+    showAlert(t('import.error', { message: error.message }), 'danger');
+    importConfirmBtn.disabled = false;
+  } finally {
+    importConfirmBtn.textContent = t('import.submit');
   }
 }
 
@@ -287,7 +788,116 @@ async function handleFormSubmit(event) {
  */
 function initEventListeners() {
   refreshBtn.addEventListener('click', handleRefresh);
+  filterForm.addEventListener('submit', handleFilterSubmit);
+  filterResetBtn.addEventListener('click', handleFilterReset);
+  pageSizeSelect.addEventListener('change', () => navigateList({ limit: Number(pageSizeSelect.value), page: 1 }));
+  // Précédent / Suivant du navigateur : l'état est relu dans l'URL
+  window.addEventListener('popstate', handleRefresh);
   carForm.addEventListener('submit', handleFormSubmit);
+  carForm.addEventListener('reset', clearFieldErrors);
+  importForm.addEventListener('submit', handleImportPreview);
+  importConfirmBtn.addEventListener('click', handleImportConfirm);
+  // Un nouveau fichier doit être prévisualisé avant d'être importé
+  importFileInput.addEventListener('change', () => {
+    importConfirmBtn.disabled = true;
+    importReport.classList.add('d-none');
+  });
+}
+
+// ========== MISES À JOUR EN DIRECT ==========
+
+/**
+ * Une voiture a été créée (ou restaurée) ailleurs : sa place dépend du tri,
+ * des filtres et de la page, on propose donc de recharger la liste.
+ * Les créations rapprochées (import) sont regroupées dans une seule alerte.
+ * @param {Object} event - { id, car }
+ */
+function handleCarCreated({ car }) {
+  pendingCreatedCars.push(car);
+  if (pendingCreatedCars.length > 1) return;
+
+  setTimeout(() => {
+    const [first, ...others] = pendingCreatedCars;
+    pendingCreatedCars = [];
+
+    const message = others.length
+      ? t('list.live_created_many', { count: others.length + 1 })
+      : t('list.live_created', { label: `${first.brand} ${first.model}`, year: first.year });
+    showAlert(message, 'info', 8000, {
+      label: t('list.live_show'),
+      onClick: handleRefresh,
+    });
+  }, LIVE_CREATED_DELAY);
+}
+
+/**
+ * Une voiture affichée a été modifiée ailleurs : sa ligne est remplacée
+ * @param {Object} event - { id, car, etag }
+ */
+function handleCarUpdated({ id, car, etag }) {
+  const previous = displayedCars.get(id);
+  const row = carsTbody.querySelector(`tr[data-id="${id}"]`);
+  if (!previous || !row) return;
+
+  // Seuls les champs reçus sont remplacés (cover_url n'accompagne que les changements de couverture)
+  const updated = { ...previous, ...car, etag };
+  const newRow = createCarRow(updated);
+  row.replaceWith(newRow);
+  displayedCars.set(id, updated);
+  highlightRow(newRow);
+}
+
+/**
+ * Une voiture affichée a été supprimée ailleurs : sa ligne disparaît
+ * @param {Object} event - { id }
+ */
+function handleCarDeleted({ id }) {
+  const row = carsTbody.querySelector(`tr[data-id="${id}"]`);
+  if (!row) return;
+
+  row.remove();
+  displayedCars.delete(id);
+  showAlert(t('list.live_deleted', { id }), 'warning');
+}
+
+/**
+ * S'abonne aux modifications faites par les autres utilisateurs (Server-Sent Events)
+ */
+function initLiveUpdates() {
+  api.subscribeToEvents({
+    'car.created': handleCarCreated,
+    'car.updated': handleCarUpdated,
+    'car.deleted': handleCarDeleted,
+    resync: handleRefresh, // Événements perdus pendant une coupure : on recharge tout
+  });
+}
+
+// ========== HORS CONNEXION ==========
+
+/**
+ * Envoie les modifications faites hors ligne et signale les conflits
+ */
+async function syncOutbox() {
+  try {
+    const { replayed, conflicts } = await replayOutbox(api, currentUser);
+
+    conflicts.forEach((conflict) => showAlert(describeConflict(conflict), 'danger', 0));
+    if (replayed.length) {
+      showAlert(t('common.synced', { count: replayed.length }), 'success');
+    }
+    if (replayed.length || conflicts.length) await handleRefresh();
+  } catch (error) {
+    showAlert(t('common.sync_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Affiche le bandeau hors ligne ; au retour du réseau, synchronise la file d'attente
+ * @param {boolean} online - true si le navigateur est en ligne
+ */
+function handleConnectionChange(online) {
+  offlineBanner.classList.toggle('d-none', online);
+  if (online) syncOutbox();
 }
 
 // ========== INITIALISATION ==========
@@ -295,9 +905,24 @@ function initEventListeners() {
 /**
  * Initialise la page lorsque le DOM est chargé
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  registerServiceWorker();
+  // Textes de la page dans la langue choisie (avant initSortHeaders qui reprend les libellés)
+  translatePage();
+  initLanguageSelect(languageSelect);
+
+  // Vérifier la session avant tout (redirection vers login.html sinon)
+  currentUser = await requireUser();
+  if (!currentUser) return;
+  translatePage(userMenu);
+
+  // L'année ne peut pas dépasser l'année en cours (même règle que l'API)
+  carForm.elements.year.max = new Date().getFullYear();
+  initSortHeaders();
   initEventListeners();
   handleRefresh(); // Charger les voitures au démarrage
+  initLiveUpdates();
+  watchConnection(handleConnectionChange);
 });
 
 
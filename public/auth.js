@@ -0,0 +1,117 @@
+/**
+ * ============================================
+ * AUTH.JS - Session de l'utilisateur connecté
+ * ============================================
+ *
+ * Ce fichier est partagé par les pages protégées (index.html, car.html, stats.html).
+ * Il vérifie la session (cookie HttpOnly posé par POST /api/auth/login),
+ * affiche l'utilisateur dans la barre de navigation et masque
+ * les contrôles réservés aux rôles supérieurs.
+ *
+ * À charger AVANT le script de la page.
+ */
+
+// ========== CONFIGURATION ==========
+
+/**
+ * URL de base des routes d'authentification
+ */
+const AUTH_API_URL = '/api/auth';
+
+/**
+ * Rang de chaque rôle (un rôle inclut les droits des rôles inférieurs)
+ */
+const ROLE_RANK = { viewer: 0, editor: 1, admin: 2 };
+
+// ========== SESSION ==========
+
+/**
+ * Indique si l'utilisateur possède au moins le rôle demandé
+ * @param {Object|null} user - Utilisateur connecté
+ * @param {string} role - Rôle minimal ('viewer', 'editor', 'admin')
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+}
+
+/**
+ * Redirige vers la page de connexion en mémorisant la page courante
+ */
+function redirectToLogin() {
+  const next = `${window.location.pathname}${window.location.search}`;
+  window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+}
+
+/**
+ * Récupère l'utilisateur connecté
+ * @returns {Promise<Object|null>} Utilisateur ou null si la session est absente ou expirée
+ */
+async function fetchCurrentUser() {
+  const response = await fetch(`${AUTH_API_URL}/me`);
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error(`Erreur HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Ferme la session puis retourne à la page de connexion
+ */
+async function logout() {
+  await fetch(`${AUTH_API_URL}/logout`, { method: 'POST' });
+  window.location.href = 'login.html';
+}
+
+// ========== AFFICHAGE ==========
+
+/**
+ * Affiche l'email, le rôle et le bouton de déconnexion dans la barre de navigation
+ * @param {Object} user - Utilisateur connecté
+ */
+function renderUserMenu(user) {
+  const userMenu = document.getElementById('user-menu');
+  if (!userMenu) return;
+
+  const label = document.createElement('span');
+  label.className = 'navbar-text small';
+  label.textContent = `${user.email} (${user.role})`;
+
+  const logoutBtn = document.createElement('button');
+  logoutBtn.type = 'button';
+  logoutBtn.className = 'btn btn-outline-light btn-sm';
+  logoutBtn.textContent = 'Déconnexion';
+  logoutBtn.dataset.i18n = 'nav.logout'; // Traduit par la page (voir i18n.mjs)
+  logoutBtn.addEventListener('click', logout);
+
+  userMenu.replaceChildren(label, logoutBtn);
+}
+
+/**
+ * Masque les éléments portant data-min-role si l'utilisateur n'a pas ce rôle
+ * @param {Object} user - Utilisateur connecté
+ */
+function applyRoleVisibility(user) {
+  document.querySelectorAll('[data-min-role]').forEach((element) => {
+    element.classList.toggle('d-none', !hasRole(user, element.dataset.minRole));
+  });
+}
+
+/**
+ * Vérifie la session avant d'afficher une page protégée
+ * @returns {Promise<Object|null>} Utilisateur connecté, ou null (redirection en cours)
+ */
+async function requireUser() {
+  const user = await fetchCurrentUser();
+  if (!user) {
+    redirectToLogin();
+    return null;
+  }
+
+  renderUserMenu(user);
+  applyRoleVisibility(user);
+  return user;
+}
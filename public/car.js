@@ -9,23 +9,55 @@
  * Exemple d'URL : car.html?id=1
  * 
  * Technologies utilisées :
- * - Fetch API pour récupérer les données
+ * - Client de l'API partagé (cars-client.mjs) pour récupérer les données
  * - URLSearchParams pour lire les paramètres d'URL
- * - Manipulation du DOM pour afficher les données
+ * - Manipulation du DOM pour afficher les données (gabarits échappés de dom.mjs)
  * - async/await pour gérer les requêtes asynchrones
+ * - Service worker et file d'attente IndexedDB (offline.mjs) pour consulter et supprimer hors connexion
+ * - Textes et formats (nombres, prix, dates) en français ou en anglais (i18n.mjs)
  */
 
+import { CarsClient, PreconditionFailedError, ValidationError } from './cars-client.mjs';
+import { html, render } from './dom.mjs';
+import { lang, t, formatPrice, formatMileage, formatDate, translatePage, initLanguageSelect } from './i18n.mjs';
+import {
+  registerServiceWorker,
+  watchConnection,
+  isOfflineError,
+  queueMutation,
+  replayOutbox,
+  describeConflict,
+} from './offline.mjs';
+
 // ========== CONFIGURATION ==========
 
 /**
- * URL de base de l'API (relative pour fonctionner en local ET sur Render)
+ * Client de l'API (même origine, cookie de session envoyé par le navigateur)
+ * Session expirée : retour à la page de connexion (voir auth.js)
+ * Messages de l'API dans la langue de l'interface
+ */
+const api = new CarsClient({ onUnauthorized: redirectToLogin, lang });
+
+/**
+ * Utilisateur connecté (défini au chargement de la page, voir auth.js)
+ */
+let currentUser = null;
+
+/**
+ * Photos de la voiture affichée (dans l'ordre de la galerie)
+ */
+let carPhotos = [];
+
+/**
+ * Voiture affichée et son ETag (version envoyée dans If-Match lors des modifications)
  */
-const API_BASE_URL = '/api/cars';
+let currentCar = null;
+let currentEtag = null;
 
 /**
- * Clé API nécessaire pour authentifier les requêtes
+ * true lorsque les champs sont affichés sous forme de formulaire
  */
-const API_KEY = 'ma-super-cle-api-2024';
+let isEditing = false;
 
 // ========== SÉLECTEURS DOM ==========
 
@@ -33,10 +65,17 @@ const API_KEY = 'ma-super-cle-api-2024';
  * Éléments du DOM utilisés dans cette page
  */
 const alertContainer = document.getElementById('alert-container');
+const offlineBanner = document.getElementById('offline-banner');
 const loadingSection = document.getElementById('loading-section');
 const carDetailsSection = document.getElementById('car-details-section');
 const errorSection = document.getElementById('error-section');
 const deleteBtn = document.getElementById('delete-btn');
+const carForm = document.getElementById('car-form');
+const editBtn = document.getElementById('edit-btn');
+const saveBtn = document.getElementById('save-btn');
+const cancelEditBtn = document.getElementById('cancel-edit-btn');
+const viewActions = document.getElementById('view-actions');
+const editActions = document.getElementById('edit-actions');
 
 // Éléments pour afficher les détails
 const carId = document.getElementById('car-id');
@@ -49,6 +88,49 @@ const carPrice = document.getElementById('car-price');
 const carMileage = document.getElementById('car-mileage');
 const carDescription = document.getElementById('car-description');
 const carCreated = document.getElementById('car-created');
+const historyList = document.getElementById('history-list');
+const photoGallery = document.getElementById('photo-gallery');
+const photoDropzone = document.getElementById('photo-dropzone');
+const photoInput = document.getElementById('photo-input');
+const conflictModal = document.getElementById('conflict-modal');
+const conflictChanges = document.getElementById('conflict-changes');
+const conflictReloadBtn = document.getElementById('conflict-reload-btn');
+const conflictOverwriteBtn = document.getElementById('conflict-overwrite-btn');
+const userMenu = document.getElementById('user-menu');
+const languageSelect = document.getElementById('language-select');
+
+/**
+ * Libellés affichés dans l'historique
+ */
+const FIELD_LABELS = {
+  brand: t('fields.brand'),
+  model: t('fields.model'),
+  year: t('fields.year'),
+  color: t('fields.color'),
+  price: t('fields.price'),
+  mileage: t('fields.mileage'),
+  description: t('fields.description'),
+};
+
+/**
+ * Champs modifiables : élément d'affichage et attributs du champ de saisie
+ * (mêmes contraintes que le formulaire d'ajout de index.html)
+ */
+const EDIT_FIELDS = {
+  brand: { element: carBrand, attributes: { type: 'text', maxlength: 100, required: true } },
+  model: { element: carModel, attributes: { type: 'text', maxlength: 100, required: true } },
+  year: { element: carYear, attributes: { type: 'number', min: 1885, max: new Date().getFullYear(), required: true } },
+  color: { element: carColor, attributes: { type: 'text', maxlength: 50 } },
+  price: { element: carPrice, attributes: { type: 'number', min: 0, step: '0.01' } },
+  mileage: { element: carMileage, attributes: { type: 'number', min: 0 } },
+  description: { element: carDescription, tag: 'textarea', attributes: { maxlength: 2000, rows: 4 } },
+};
+
+const ACTION_LABELS = {
+  create: t('history.create'),
+  update: t('history.update'),
+  delete: t('history.delete'),
+};
 
 // ========== FONCTIONS UTILITAIRES ==========
 
@@ -60,12 +142,12 @@ const carCreated = document.getElementById('car-created');
  */
 function showAlert(message, type = 'info', duration = 4000) {
   const wrapper = document.createElement('div');
-  wrapper.innerHTML = `
+  render(wrapper, html`
     <div class="alert alert-${type} alert-dismissible fade show" role="alert">
       ${message}
-      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Fermer"></button>
+      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="${t('common.close')}"></button>
     </div>
-  `;
+  `);
   alertContainer.appendChild(wrapper);
 
   if (duration) {
@@ -75,95 +157,95 @@ function showAlert(message, type = 'info', duration = 4000) {
   }
 }
 
+// ========== REQUÊTES API ==========
+
 /**
- * Formate un nombre avec des séparateurs de milliers (format français)
- * @param {number|string|null} value - Valeur à formater
- * @returns {string} Nombre formaté ou '-' si valeur vide
+ * Récupère les détails d'une voiture par son ID
+ * @param {number|string} id - ID de la voiture
+ * @returns {Promise<{car: Object, etag: string|null}>} Voiture et ETag de sa version
  */
-function formatNumber(value) {
-  if (value === null || value === undefined || value === '') return '-';
-  return new Intl.NumberFormat('fr-FR').format(Number(value));
+async function fetchCarById(id) {
+  return api.getCar(id);
 }
 
 /**
- * Formate une date au format français
- * @param {string} dateString - Date au format ISO
- * @returns {string} Date formatée ou '-' si vide
+ * Récupère l'historique des modifications d'une voiture (plus récent en premier)
+ * @param {number|string} id - ID de la voiture
+ * @returns {Promise<Array>} Entrées de l'historique
  */
-function formatDate(dateString) {
-  if (!dateString) return '-';
-  try {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('fr-FR', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  } catch (error) {
-    return dateString;
-  }
+async function fetchCarHistory(id) {
+  return (await api.getCarHistory(id)) || [];
 }
 
-// ========== REQUÊTES API ==========
+/**
+ * Remplace entièrement une voiture (PUT)
+ * @param {number|string} id - ID de la voiture
+ * @param {Object} car - Nouvelles valeurs de tous les champs
+ * @param {string|null} etag - Version lue (If-Match) : 412 si la voiture a changé depuis
+ * @returns {Promise<{car: Object, etag: string|null}>} Voiture enregistrée et son nouvel ETag
+ * @throws {PreconditionFailedError} Si la voiture a changé (error.data : version actuelle)
+ */
+async function updateCar(id, car, etag) {
+  return api.updateCar(id, car, { ifMatch: etag });
+}
 
 /**
- * Fonction générique pour effectuer des requêtes API avec authentification
- * @param {string} url - URL de la requête
- * @param {Object} options - Options de la requête (method, body, etc.)
- * @returns {Promise<Object>} Données JSON de la réponse
- * @throws {Error} Si la requête échoue
+ * Supprime une voiture par son ID
+ * @param {number|string} id - ID de la voiture à supprimer
+ * @param {string|null} etag - Version lue (If-Match) : 412 si la voiture a changé depuis
+ * @returns {Promise<void>}
  */
-async function apiFetch(url, options = {}) {
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-    'x-api-key': API_KEY,
-  };
+async function deleteCar(id, etag) {
+  await api.deleteCar(id, { ifMatch: etag });
+}
 
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...defaultHeaders,
-      ...(options.headers || {}),
-    },
-  });
+/**
+ * Récupère les photos d'une voiture (ordre de la galerie)
+ * @param {number|string} id - ID de la voiture
+ * @returns {Promise<Array>} Photos
+ */
+async function fetchCarPhotos(id) {
+  return (await api.listPhotos(id)) || [];
+}
 
-  // Vérifier le type de contenu de la réponse
-  const contentType = response.headers.get('Content-Type') || '';
-  const isJson = contentType.includes('application/json');
-  const data = isJson ? await response.json() : null;
-
-  // Gérer les erreurs HTTP
-  if (!response.ok) {
-    const errorMessage =
-      (data && (data.message || data.error)) ||
-      `Erreur HTTP ${response.status}`;
-    throw new Error(errorMessage);
-  }
+/**
+ * Envoie des photos pour une voiture
+ * @param {number|string} id - ID de la voiture
+ * @param {FileList|Array<File>} files - Fichiers image choisis
+ * @returns {Promise<Array>} Galerie mise à jour
+ */
+async function uploadCarPhotos(id, files) {
+  return api.uploadPhotos(id, files);
+}
 
-  return data;
+/**
+ * Enregistre un nouvel ordre des photos
+ * @param {number|string} id - ID de la voiture
+ * @param {Array<number>} order - IDs des photos dans le nouvel ordre
+ * @returns {Promise<Array>} Galerie mise à jour
+ */
+async function reorderCarPhotos(id, order) {
+  return api.reorderPhotos(id, order);
 }
 
 /**
- * Récupère les détails d'une voiture par son ID
+ * Choisit la photo de couverture
  * @param {number|string} id - ID de la voiture
- * @returns {Promise<Object>} Objet voiture avec toutes ses propriétés
+ * @param {number} photoId - ID de la photo
+ * @returns {Promise<Array>} Galerie mise à jour
  */
-async function fetchCarById(id) {
-  const data = await apiFetch(`${API_BASE_URL}/${id}`);
-  return data.data;
+async function setCoverPhoto(id, photoId) {
+  return api.setCoverPhoto(id, photoId);
 }
 
 /**
- * Supprime une voiture par son ID
- * @param {number|string} id - ID de la voiture à supprimer
- * @returns {Promise<void>}
+ * Supprime une photo
+ * @param {number|string} id - ID de la voiture
+ * @param {number} photoId - ID de la photo
+ * @returns {Promise<Array>} Galerie mise à jour
  */
-async function deleteCar(id) {
-  await apiFetch(`${API_BASE_URL}/${id}`, {
-    method: 'DELETE',
-  });
+async function deleteCarPhoto(id, photoId) {
+  return api.deletePhoto(id, photoId);
 }
 
 // ========== GESTION DE L'AFFICHAGE ==========
@@ -184,18 +266,399 @@ function displayCarDetails(car) {
   carColor.textContent = car.color || '-';
 
   // Caractéristiques
-  carPrice.textContent = car.price != null ? `${formatNumber(car.price)} €` : '-';
-  carMileage.textContent = car.mileage != null ? `${formatNumber(car.mileage)} km` : '-';
+  carPrice.textContent = formatPrice(car.price);
+  carMileage.textContent = formatMileage(car.mileage);
   carCreated.textContent = formatDate(car.created_at);
 
   // Description
-  carDescription.textContent = car.description || 'Aucune description disponible.';
+  carDescription.textContent = car.description || t('car.no_description');
 
   // Afficher la section de détails
   loadingSection.classList.add('d-none');
+  errorSection.classList.add('d-none');
   carDetailsSection.classList.remove('d-none');
 }
 
+/**
+ * Formate une valeur de l'historique
+ * @param {string} field - Nom du champ
+ * @param {*} value - Valeur avant ou après la modification
+ * @returns {string}
+ */
+function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return '∅';
+  if (field === 'price') return formatPrice(value);
+  if (field === 'mileage') return formatMileage(value);
+  return String(value);
+}
+
+/**
+ * Crée un élément de la chronologie pour une entrée de l'historique
+ * @param {Object} entry - Entrée renvoyée par GET /api/cars/:id/history
+ * @returns {HTMLLIElement}
+ */
+function createHistoryItem(entry) {
+  const li = document.createElement('li');
+  li.className = 'list-group-item';
+
+  const header = document.createElement('div');
+  header.className = 'd-flex justify-content-between flex-wrap gap-2';
+
+  const title = document.createElement('strong');
+  title.textContent = t('history.entry', { action: ACTION_LABELS[entry.action] || entry.action, actor: entry.actor.label });
+
+  // Les dates SQLite sont en UTC, sans fuseau explicite
+  const date = document.createElement('small');
+  date.className = 'text-muted';
+  date.textContent = formatDate(`${entry.created_at.replace(' ', 'T')}Z`);
+
+  header.append(title, date);
+  li.appendChild(header);
+
+  const changes = Object.entries(entry.changes);
+  if (entry.action === 'update' && changes.length) {
+    const list = document.createElement('ul');
+    list.className = 'small mb-0 mt-1';
+
+    changes.forEach(([field, { before, after }]) => {
+      const item = document.createElement('li');
+      item.textContent = `${FIELD_LABELS[field] || field} : ${formatHistoryValue(field, before)} → ${formatHistoryValue(field, after)}`;
+      list.appendChild(item);
+    });
+
+    li.appendChild(list);
+  }
+
+  return li;
+}
+
+/**
+ * Affiche la chronologie des modifications
+ * @param {Array} entries - Entrées de l'historique
+ */
+function renderHistory(entries) {
+  historyList.replaceChildren();
+
+  if (!entries.length) {
+    const li = document.createElement('li');
+    li.className = 'list-group-item text-muted';
+    li.textContent = t('history.empty');
+    historyList.appendChild(li);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    historyList.appendChild(createHistoryItem(entry));
+  });
+}
+
+/**
+ * Charge et affiche l'historique (une erreur n'empêche pas l'affichage des détails)
+ * @param {number|string} id - ID de la voiture
+ */
+async function loadHistory(id) {
+  try {
+    const entries = await fetchCarHistory(id);
+    renderHistory(entries);
+  } catch (error) {
+    console.error("Erreur lors du chargement de l'historique:", error);
+    historyList.replaceChildren();
+    const li = document.createElement('li');
+    li.className = 'list-group-item text-danger';
+    li.textContent = t('history.unavailable', { message: error.message });
+    historyList.appendChild(li);
+  }
+}
+
+/**
+ * Crée un petit bouton d'action de la galerie
+ * @param {string} label - Texte du bouton
+ * @param {string} title - Description (infobulle et lecteurs d'écran)
+ * @param {string} variant - Classe Bootstrap (ex : 'outline-danger')
+ * @param {Function} onClick - Action au clic
+ * @returns {HTMLButtonElement}
+ */
+function createPhotoButton(label, title, variant, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-sm btn-${variant}`;
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Crée la vignette d'une photo (avec ses actions pour les éditeurs)
+ * @param {Object} photo - Photo renvoyée par l'API
+ * @param {number} index - Position dans la galerie
+ * @param {number|string} id - ID de la voiture
+ * @returns {HTMLElement}
+ */
+function createPhotoItem(photo, index, id) {
+  const col = document.createElement('div');
+  col.className = 'col-6 col-md-4 col-lg-3';
+
+  const figure = document.createElement('figure');
+  figure.className = `card h-100 mb-0 ${photo.is_cover ? 'border border-primary border-2' : ''}`;
+
+  const link = document.createElement('a');
+  link.href = photo.url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+
+  const img = document.createElement('img');
+  img.src = photo.url;
+  img.alt = photo.original_name;
+  img.loading = 'lazy';
+  img.className = 'card-img-top photo-thumb';
+  link.appendChild(img);
+
+  const caption = document.createElement('figcaption');
+  caption.className = 'card-body p-2 small';
+
+  if (photo.is_cover) {
+    const badge = document.createElement('span');
+    badge.className = 'badge bg-primary mb-1';
+    badge.textContent = t('photos.cover');
+    caption.appendChild(badge);
+  }
+
+  figure.append(link, caption);
+  col.appendChild(figure);
+
+  if (!hasRole(currentUser, 'editor')) return col;
+
+  const actions = document.createElement('div');
+  actions.className = 'btn-group btn-group-sm d-flex';
+
+  const moveLeft = createPhotoButton('←', t('photos.move_left'), 'outline-secondary', () => handleMovePhoto(id, index, -1));
+  moveLeft.disabled = index === 0;
+  const moveRight = createPhotoButton('→', t('photos.move_right'), 'outline-secondary', () => handleMovePhoto(id, index, 1));
+  moveRight.disabled = index === carPhotos.length - 1;
+  const cover = createPhotoButton('★', t('photos.set_cover'), 'outline-primary', () => handleSetCover(id, photo.id));
+  cover.disabled = photo.is_cover;
+  const remove = createPhotoButton('✕', t('photos.delete'), 'outline-danger', () => handleDeletePhoto(id, photo.id));
+
+  actions.append(moveLeft, moveRight, cover, remove);
+  caption.appendChild(actions);
+
+  return col;
+}
+
+/**
+ * Affiche la galerie photos
+ * @param {Array} photos - Photos de la voiture
+ * @param {number|string} id - ID de la voiture
+ */
+function renderPhotos(photos, id) {
+  carPhotos = photos;
+  photoGallery.replaceChildren();
+
+  if (!photos.length) {
+    const empty = document.createElement('p');
+    empty.className = 'text-muted mb-0';
+    empty.textContent = t('photos.empty');
+    photoGallery.appendChild(empty);
+    return;
+  }
+
+  photos.forEach((photo, index) => {
+    photoGallery.appendChild(createPhotoItem(photo, index, id));
+  });
+}
+
+/**
+ * Charge et affiche la galerie (une erreur n'empêche pas l'affichage des détails)
+ * @param {number|string} id - ID de la voiture
+ */
+async function loadPhotos(id) {
+  try {
+    renderPhotos(await fetchCarPhotos(id), id);
+  } catch (error) {
+    console.error('Erreur lors du chargement des photos:', error);
+    photoGallery.replaceChildren();
+    const message = document.createElement('p');
+    message.className = 'text-danger mb-0';
+    message.textContent = t('photos.unavailable', { message: error.message });
+    photoGallery.appendChild(message);
+  }
+}
+
+/**
+ * Ouvre le dialogue de conflit (réponse 412) avec les champs qui diffèrent
+ * @param {Object} loaded - Voiture telle qu'affichée sur la page
+ * @param {Object|null} current - Version actuelle renvoyée par l'API (null si elle n'existe plus)
+ * @param {Object} actions
+ * @param {Function} actions.onReload - Afficher la version actuelle
+ * @param {Function} actions.onOverwrite - Refaire l'action sur la version actuelle
+ */
+function showConflictDialog(loaded, current, { onReload, onOverwrite }) {
+  const modal = bootstrap.Modal.getOrCreateInstance(conflictModal);
+  conflictChanges.replaceChildren();
+
+  const fields = Object.keys(FIELD_LABELS).filter((field) => current && loaded[field] !== current[field]);
+  fields.forEach((field) => {
+    const tr = document.createElement('tr');
+    [
+      FIELD_LABELS[field],
+      formatHistoryValue(field, loaded[field]),
+      formatHistoryValue(field, current[field]),
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    conflictChanges.appendChild(tr);
+  });
+
+  if (!fields.length) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    td.className = 'text-muted';
+    td.textContent = t(current ? 'conflict.no_changes' : 'conflict.gone');
+    tr.appendChild(td);
+    conflictChanges.appendChild(tr);
+  }
+
+  conflictOverwriteBtn.disabled = !current;
+  conflictReloadBtn.onclick = () => {
+    modal.hide();
+    onReload();
+  };
+  conflictOverwriteBtn.onclick = () => {
+    modal.hide();
+    onOverwrite();
+  };
+
+  modal.show();
+}
+
+/**
+ * Remplace la voiture affichée par la version renvoyée par l'API (quitte le mode édition)
+ * @param {Object} car - Voiture à jour
+ * @param {string|null} etag - ETag de cette version
+ */
+function setCurrentCar(car, etag) {
+  currentCar = car;
+  currentEtag = etag;
+  exitEditMode();
+}
+
+/**
+ * Crée le champ de saisie d'un champ modifiable, avec sa zone d'erreur
+ * @param {string} field - Nom du champ
+ * @param {*} value - Valeur actuelle
+ * @returns {Array<HTMLElement>} Champ et message d'erreur
+ */
+function createEditInput(field, value) {
+  const { tag = 'input', attributes } = EDIT_FIELDS[field];
+  const input = document.createElement(tag);
+  input.id = `edit-${field}`;
+  input.name = field;
+  input.className = 'form-control form-control-sm';
+  input.setAttribute('aria-label', FIELD_LABELS[field]);
+  Object.entries(attributes).forEach(([name, attribute]) => {
+    if (attribute === true) input.setAttribute(name, '');
+    else input.setAttribute(name, attribute);
+  });
+  input.value = value ?? '';
+
+  const feedback = document.createElement('div');
+  feedback.className = 'invalid-feedback';
+  feedback.dataset.errorFor = field;
+
+  return [input, feedback];
+}
+
+/**
+ * Passe en mode édition : chaque valeur affichée devient un champ de saisie
+ */
+function enterEditMode() {
+  isEditing = true;
+
+  Object.entries(EDIT_FIELDS).forEach(([field, { element }]) => {
+    element.replaceChildren(...createEditInput(field, currentCar[field]));
+  });
+
+  viewActions.classList.add('d-none');
+  editActions.classList.remove('d-none');
+  carForm.elements.brand.focus();
+}
+
+/**
+ * Quitte le mode édition et réaffiche la voiture courante (annule les saisies non enregistrées)
+ */
+function exitEditMode() {
+  isEditing = false;
+  displayCarDetails(currentCar);
+
+  editActions.classList.add('d-none');
+  viewActions.classList.remove('d-none');
+}
+
+/**
+ * Bloque ou débloque le formulaire pendant l'enregistrement
+ * @param {boolean} busy - true pendant la requête
+ */
+function setEditBusy(busy) {
+  Array.from(carForm.elements).forEach((input) => {
+    input.disabled = busy;
+  });
+  saveBtn.disabled = busy;
+  cancelEditBtn.disabled = busy;
+  saveBtn.textContent = t(busy ? 'car.saving' : 'car.save');
+}
+
+/**
+ * Récupère et formate les valeurs saisies (mêmes conversions que le formulaire d'ajout)
+ * @returns {Object} Voiture complète pour PUT /api/cars/:id
+ */
+function getEditFormData() {
+  const car = Object.fromEntries(new FormData(carForm).entries());
+
+  // Conversions numériques pour les champs numériques
+  ['year', 'price', 'mileage'].forEach((key) => {
+    if (car[key] !== '') car[key] = Number(car[key]);
+  });
+
+  // Champs optionnels vides => null (pour la base de données)
+  ['color', 'price', 'mileage', 'description'].forEach((key) => {
+    if (car[key] === '') car[key] = null;
+  });
+
+  return car;
+}
+
+/**
+ * Affiche les erreurs de validation sous les champs correspondants
+ * @param {Array<{field: string, message: string}>} fieldErrors - Erreurs renvoyées par l'API
+ */
+function showFieldErrors(fieldErrors) {
+  fieldErrors.forEach(({ field, message }) => {
+    const input = carForm.elements[field];
+    const feedback = carForm.querySelector(`[data-error-for="${field}"]`);
+    if (!input || !feedback) return;
+
+    input.classList.add('is-invalid');
+    feedback.textContent = message;
+  });
+}
+
+/**
+ * Retire les erreurs de validation affichées
+ */
+function clearFieldErrors() {
+  carForm.querySelectorAll('.is-invalid').forEach((input) => {
+    input.classList.remove('is-invalid');
+  });
+  carForm.querySelectorAll('[data-error-for]').forEach((feedback) => {
+    feedback.textContent = '';
+  });
+}
+
 /**
  * Affiche un message d'erreur
  * @param {string} message - Message d'erreur à afficher
@@ -205,6 +668,7 @@ function displayError(message) {
   errorMessageEl.textContent = message;
 
   loadingSection.classList.add('d-none');
+  carDetailsSection.classList.add('d-none');
   errorSection.classList.remove('d-none');
 }
 
@@ -221,66 +685,328 @@ async function handlePageLoad() {
 
   // Vérifier que l'ID est présent
   if (!carId) {
-    displayError("ID de voiture manquant dans l'URL. Format attendu : car.html?id=1");
+    displayError(t('car.missing_id'));
     return;
   }
 
   // Vérifier que l'ID est un nombre valide
   if (isNaN(carId) || parseInt(carId) <= 0) {
-    displayError("ID de voiture invalide. L'ID doit être un nombre positif.");
+    displayError(t('car.invalid_id'));
     return;
   }
 
   try {
     // Récupérer les détails de la voiture
-    const car = await fetchCarById(carId);
-    displayCarDetails(car);
-
-    // Configurer le bouton de suppression
+    const { car, etag } = await fetchCarById(carId);
+    setCurrentCar(car, etag);
+    loadPhotos(car.id);
+    loadHistory(car.id);
+    setupPhotoDropzone(car.id);
+    initLiveUpdates(car.id);
+
+    // Configurer les boutons de modification et de suppression
+    editBtn.addEventListener('click', enterEditMode);
+    cancelEditBtn.addEventListener('click', exitEditMode);
+    carForm.addEventListener('submit', (event) => handleSave(event, car.id));
     deleteBtn.addEventListener('click', () => handleDelete(car.id));
   } catch (error) {
     console.error('Erreur lors du chargement des détails:', error);
-    displayError(`Erreur lors du chargement : ${error.message}`);
+    displayError(t('car.load_error', { message: error.message }));
+  }
+}
+
+/**
+ * Recharge la voiture depuis l'API (après un conflit) et abandonne la saisie en cours
+ * @param {number|string} id - ID de la voiture
+ */
+async function reloadCar(id) {
+  try {
+    const { car, etag } = await fetchCarById(id);
+    setCurrentCar(car, etag);
+    loadHistory(id);
+  } catch (error) {
+    console.error('Erreur lors du rechargement:', error);
+    displayError(t('car.load_error', { message: error.message }));
+  }
+}
+
+/**
+ * Enregistre les modifications (PUT conditionné à la version affichée)
+ * @param {Event|null} event - Soumission du formulaire (null pour un nouvel essai)
+ * @param {number|string} id - ID de la voiture
+ */
+async function handleSave(event, id) {
+  if (event) event.preventDefault();
+  if (!isEditing) return;
+
+  const car = getEditFormData();
+  clearFieldErrors();
+  setEditBusy(true);
+
+  try {
+    const saved = await updateCar(id, car, currentEtag);
+    setCurrentCar(saved.car, saved.etag);
+    showAlert(t('car.updated'), 'success');
+    loadHistory(id);
+  } catch (error) {
+    // Modifiée entre-temps : la saisie est conservée, l'utilisateur choisit
+    if (error instanceof PreconditionFailedError) {
+      showConflictDialog(currentCar, error.data, {
+        onReload: () => reloadCar(id),
+        onOverwrite: () => {
+          currentCar = error.data;
+          currentEtag = error.etag;
+          handleSave(null, id);
+        },
+      });
+      return;
+    }
+
+    if (error instanceof ValidationError && error.fieldErrors.length) {
+      showFieldErrors(error.fieldErrors);
+    }
+    showAlert(t('car.save_error', { message: error.message }), 'danger');
+  } finally {
+    if (isEditing) setEditBusy(false);
   }
 }
 
 /**
- * Gère la suppression d'une voiture
+ * Gère la suppression d'une voiture (conditionnée à la version affichée)
  * @param {number|string} id - ID de la voiture à supprimer
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmed=false] - true pour ne pas redemander confirmation
  */
-async function handleDelete(id) {
-  const confirmDelete = window.confirm(
-    `Êtes-vous sûr de vouloir supprimer cette voiture ? Cette action est irréversible.`,
-  );
+async function handleDelete(id, { confirmed = false } = {}) {
+  const confirmDelete = confirmed || window.confirm(t('car.confirm_delete'));
 
   if (!confirmDelete) return;
 
   try {
     deleteBtn.disabled = true;
-    deleteBtn.textContent = 'Suppression...';
+    deleteBtn.textContent = t('car.deleting');
 
-    await deleteCar(id);
+    await deleteCar(id, currentEtag);
 
-    showAlert('Voiture supprimée avec succès. Redirection...', 'success', 2000);
+    showAlert(t('car.deleted'), 'success', 2000);
 
     // Rediriger vers la liste après 2 secondes
     setTimeout(() => {
       window.location.href = 'index.html';
     }, 2000);
   } catch (error) {
-    console.error('Erreur lors de la suppression:', error);
-    showAlert(`Erreur lors de la suppression : ${error.message}`, 'danger');
+    // Hors ligne : suppression conditionnée à la version affichée, envoyée au retour du réseau
+    if (isOfflineError(error)) {
+      await queueMutation(currentUser, {
+        type: 'delete',
+        carId: currentCar.id,
+        etag: currentEtag,
+        label: `${currentCar.brand} ${currentCar.model}`,
+      });
+      showAlert(t('car.delete_queued'), 'warning', 2000);
+      setTimeout(() => {
+        window.location.href = 'index.html';
+      }, 2000);
+      return;
+    }
+
     deleteBtn.disabled = false;
-    deleteBtn.textContent = 'Supprimer cette voiture';
+    deleteBtn.textContent = t('car.delete');
+
+    // Modifiée entre-temps : l'utilisateur choisit entre la version actuelle et la suppression
+    if (error instanceof PreconditionFailedError) {
+      showConflictDialog(currentCar, error.data, {
+        onReload: () => reloadCar(id),
+        onOverwrite: () => {
+          currentEtag = error.etag;
+          handleDelete(id, { confirmed: true });
+        },
+      });
+      return;
+    }
+
+    console.error('Erreur lors de la suppression:', error);
+    showAlert(t('car.delete_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Envoie les photos choisies ou déposées, puis rafraîchit la galerie
+ * @param {number|string} id - ID de la voiture
+ * @param {FileList} files - Fichiers image
+ */
+async function handlePhotoUpload(id, files) {
+  if (!files.length) return;
+
+  photoDropzone.classList.add('opacity-50');
+  try {
+    renderPhotos(await uploadCarPhotos(id, files), id);
+    showAlert(t('photos.uploaded', { count: files.length }), 'success');
+  } catch (error) {
+    showAlert(t('photos.upload_error', { message: error.message }), 'danger');
+  } finally {
+    photoDropzone.classList.remove('opacity-50');
+    photoInput.value = '';
   }
 }
 
+/**
+ * Déplace une photo d'un cran dans la galerie
+ * @param {number|string} id - ID de la voiture
+ * @param {number} index - Position actuelle de la photo
+ * @param {number} direction - -1 (gauche) ou 1 (droite)
+ */
+async function handleMovePhoto(id, index, direction) {
+  const order = carPhotos.map((photo) => photo.id);
+  const target = index + direction;
+  [order[index], order[target]] = [order[target], order[index]];
+
+  try {
+    renderPhotos(await reorderCarPhotos(id, order), id);
+  } catch (error) {
+    showAlert(t('photos.reorder_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Choisit la photo de couverture (miniature affichée dans la liste)
+ * @param {number|string} id - ID de la voiture
+ * @param {number} photoId - ID de la photo
+ */
+async function handleSetCover(id, photoId) {
+  try {
+    renderPhotos(await setCoverPhoto(id, photoId), id);
+  } catch (error) {
+    showAlert(t('photos.cover_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Supprime une photo après confirmation
+ * @param {number|string} id - ID de la voiture
+ * @param {number} photoId - ID de la photo
+ */
+async function handleDeletePhoto(id, photoId) {
+  if (!window.confirm(t('photos.confirm_delete'))) return;
+
+  try {
+    renderPhotos(await deleteCarPhoto(id, photoId), id);
+    showAlert(t('photos.deleted'), 'success');
+  } catch (error) {
+    showAlert(t('photos.delete_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Active la zone de dépôt des photos (glisser-déposer et sélection de fichiers)
+ * @param {number|string} id - ID de la voiture
+ */
+function setupPhotoDropzone(id) {
+  photoInput.addEventListener('change', () => handlePhotoUpload(id, photoInput.files));
+
+  ['dragenter', 'dragover'].forEach((type) => {
+    photoDropzone.addEventListener(type, (event) => {
+      event.preventDefault();
+      photoDropzone.classList.add('is-dragover');
+    });
+  });
+
+  ['dragleave', 'drop'].forEach((type) => {
+    photoDropzone.addEventListener(type, (event) => {
+      event.preventDefault();
+      photoDropzone.classList.remove('is-dragover');
+    });
+  });
+
+  photoDropzone.addEventListener('drop', (event) => {
+    handlePhotoUpload(id, event.dataTransfer.files);
+  });
+}
+
+// ========== MISES À JOUR EN DIRECT ==========
+
+/**
+ * La voiture affichée a été modifiée (ou restaurée) par un autre utilisateur
+ * @param {number|string} id - ID de la voiture affichée
+ * @param {Object} event - { car, etag } : nouvelle version
+ */
+function handleRemoteUpdate(id, { car, etag }) {
+  // Même version : seule la photo de couverture a changé, la galerie est rechargée
+  if (currentCar && car.version === currentCar.version) {
+    loadPhotos(id);
+    return;
+  }
+
+  // Saisie en cours : elle est conservée, l'enregistrement signalera le conflit (412)
+  if (isEditing) {
+    showAlert(t('car.remote_editing'), 'warning', 6000);
+    return;
+  }
+
+  setCurrentCar(car, etag);
+  loadHistory(id);
+  showAlert(t('car.remote_updated'), 'info');
+}
+
+/**
+ * S'abonne aux modifications de la voiture affichée (Server-Sent Events)
+ * @param {number|string} id - ID de la voiture
+ */
+function initLiveUpdates(id) {
+  const isDisplayedCar = (event) => event.id === Number(id);
+
+  api.subscribeToEvents({
+    'car.created': (event) => isDisplayedCar(event) && handleRemoteUpdate(id, event),
+    'car.updated': (event) => isDisplayedCar(event) && handleRemoteUpdate(id, event),
+    'car.deleted': (event) => isDisplayedCar(event)
+      && displayError(t('car.remote_deleted')),
+    resync: () => !isEditing && reloadCar(id), // Événements perdus pendant une coupure
+  });
+}
+
+// ========== HORS CONNEXION ==========
+
+/**
+ * Envoie les modifications faites hors ligne et signale les conflits
+ */
+async function syncOutbox() {
+  try {
+    const { replayed, conflicts } = await replayOutbox(api, currentUser);
+
+    conflicts.forEach((conflict) => showAlert(describeConflict(conflict), 'danger', 0));
+    if (replayed.length) {
+      showAlert(t('common.synced', { count: replayed.length }), 'success');
+    }
+  } catch (error) {
+    showAlert(t('common.sync_error', { message: error.message }), 'danger');
+  }
+}
+
+/**
+ * Affiche le bandeau hors ligne ; au retour du réseau, synchronise la file d'attente
+ * @param {boolean} online - true si le navigateur est en ligne
+ */
+function handleConnectionChange(online) {
+  offlineBanner.classList.toggle('d-none', online);
+  if (online) syncOutbox();
+}
+
 // ========== INITIALISATION ==========
 
 /**
  * Initialise la page lorsque le DOM est chargé
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  registerServiceWorker();
+  translatePage();
+  initLanguageSelect(languageSelect);
+
+  // Vérifier la session avant tout (redirection vers login.html sinon)
+  currentUser = await requireUser();
+  if (!currentUser) return;
+  translatePage(userMenu);
+
   handlePageLoad();
+  watchConnection(handleConnectionChange);
 });
 
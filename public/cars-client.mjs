@@ -0,0 +1,766 @@
+/**
+ * ============================================
+ * CARS-CLIENT.MJS - Client JavaScript de l'API des voitures
+ * ============================================
+ *
+ * Module ES utilisable dans le navigateur et dans Node.js (18+, fetch natif) :
+ *
+ *   // Navigateur (session par cookie, même origine)
+ *   import { CarsClient } from './cars-client.mjs';
+ *   const client = new CarsClient();
+ *
+ *   // Node.js (clé API)
+ *   import { CarsClient } from './public/cars-client.mjs';
+ *   const client = new CarsClient({ baseUrl: 'http://localhost:3000', apiKey: process.env.API_KEY });
+ *   const { data, total } = await client.listCars({ brand: 'porsche', sort: 'price:desc' });
+ *
+ * Fonctionnalités :
+ * - une méthode par route de l'API
+ * - erreurs typées selon le statut HTTP (ValidationError, NotFoundError...)
+ * - délai maximal par requête (timeout)
+ * - nouvelles tentatives avec attente exponentielle pour les requêtes idempotentes
+ */
+
+// ========== ERREURS ==========
+
+/**
+ * Erreur renvoyée par l'API (statut HTTP hors 2xx)
+ * - status : statut HTTP
+ * - code : code stable de l'erreur (ex : "car_not_found"), identique dans toutes les langues
+ * - body : corps de la réponse (application/problem+json : type, title, status, detail, code...)
+ * - data : champ "data" de la réponse (ex : version actuelle d'une voiture pour un 412)
+ * - etag : en-tête ETag de la réponse
+ * - requestId : identifiant de la requête (X-Request-Id), à communiquer pour retrouver l'erreur dans les journaux
+ */
+export class CarsApiError extends Error {
+  constructor(message, { status = 0, body = null, etag = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.body = body;
+    this.data = (body && body.data) || null;
+    this.etag = etag;
+    this.requestId = (body && body.request_id) || null;
+  }
+}
+
+/**
+ * 400 : données ou paramètres invalides (fieldErrors : [{ field, code, message }])
+ */
+export class ValidationError extends CarsApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.fieldErrors = (this.body && this.body.errors) || [];
+  }
+}
+
+/** 401 : authentification absente, invalide ou expirée */
+export class AuthenticationError extends CarsApiError {}
+
+/** 403 : portée ou rôle insuffisant */
+export class ForbiddenError extends CarsApiError {}
+
+/** 404 : ressource inexistante */
+export class NotFoundError extends CarsApiError {}
+
+/** 409 : conflit avec l'état actuel (ex : adresse email déjà utilisée) */
+export class ConflictError extends CarsApiError {}
+
+/** 412 : la voiture a changé depuis sa lecture (If-Match), data contient la version actuelle */
+export class PreconditionFailedError extends CarsApiError {}
+
+/**
+ * 429 : limite de débit atteinte (retryAfter : secondes à attendre)
+ */
+export class RateLimitError extends CarsApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/** Délai maximal dépassé (aucune réponse du serveur) */
+export class TimeoutError extends CarsApiError {}
+
+/** Serveur injoignable (réseau, CORS, DNS...) */
+export class NetworkError extends CarsApiError {}
+
+/**
+ * Classe d'erreur associée à chaque statut HTTP
+ */
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: PreconditionFailedError,
+  429: RateLimitError,
+};
+
+// ========== CONFIGURATION ==========
+
+/**
+ * Méthodes rejouées automatiquement (même effet si elles sont exécutées plusieurs fois)
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+/**
+ * Statuts temporaires qui justifient une nouvelle tentative
+ */
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Attente avant de rouvrir le flux d'événements (le serveur peut la changer avec "retry:")
+ */
+const EVENTS_RETRY_DELAY = 3000;
+
+const DEFAULT_OPTIONS = {
+  baseUrl: '',
+  apiKey: null,
+  token: null,
+  credentials: 'same-origin',
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 300,
+  headers: {},
+  fetch: null,
+  onUnauthorized: null,
+  clientId: null,
+  lang: null,
+};
+
+// ========== UTILITAIRES ==========
+
+/**
+ * Identifiant aléatoire d'une instance du client (un par onglet),
+ * envoyé dans le header X-Client-Id pour reconnaître ses propres événements
+ * @returns {string}
+ */
+function createClientId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Attend un certain temps
+ * @param {number} ms - Durée en millisecondes
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Construit une query string en ignorant les valeurs vides
+ * @param {Object} [query] - Paramètres
+ * @returns {string} "?a=1&b=2" ou ""
+ */
+function toQueryString(query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const queryString = params.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+/**
+ * Découpe un bloc text/event-stream (lignes "champ: valeur" terminées par une ligne vide)
+ * @param {string} block
+ * @returns {{ type: string, data: string|null, id: string|null, retry: number|null }}
+ */
+function parseEventBlock(block) {
+  const event = { type: 'message', data: null, id: null, retry: null };
+  const data = [];
+
+  block.split(/\r\n|\r|\n/).forEach((line) => {
+    // Ligne vide ou commentaire (": heartbeat")
+    if (!line || line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event.type = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id') event.id = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+  });
+
+  if (data.length) event.data = data.join('\n');
+  return event;
+}
+
+/**
+ * Lit le corps de la réponse (JSON, dont application/problem+json, texte ou rien)
+ * @param {Response} response
+ * @returns {Promise<Object|string|null>}
+ */
+async function readBody(response) {
+  if (response.status === 204 || response.status === 304) return null;
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (/[/+]json\b/.test(contentType)) return response.json();
+  return response.text();
+}
+
+// ========== CLIENT ==========
+
+/**
+ * Client de l'API des voitures
+ */
+export class CarsClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl=''] - URL du serveur ('' : même origine dans le navigateur)
+   * @param {string} [options.apiKey] - Clé API (header x-api-key), pour les scripts
+   * @param {string} [options.token] - Jeton de session (header Authorization: Bearer)
+   * @param {string} [options.credentials='same-origin'] - Envoi des cookies ('include' pour un autre domaine)
+   * @param {number} [options.timeout=10000] - Délai maximal d'une tentative, en ms (0 : aucun)
+   * @param {number} [options.retries=2] - Nouvelles tentatives pour les requêtes idempotentes
+   * @param {number} [options.retryDelay=300] - Attente avant la première nouvelle tentative, doublée ensuite (ms)
+   * @param {Object} [options.headers] - Headers ajoutés à chaque requête
+   * @param {Function} [options.fetch] - Implémentation de fetch (globalThis.fetch par défaut)
+   * @param {Function} [options.onUnauthorized] - Appelée sur une réponse 401 (ex : redirection vers la connexion)
+   * @param {string} [options.clientId] - Identifiant envoyé dans X-Client-Id (aléatoire par défaut)
+   * @param {string} [options.lang] - Langue des messages de l'API ('fr', 'en'), envoyée dans Accept-Language
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.baseUrl = this.options.baseUrl.replace(/\/+$/, '');
+    this.clientId = this.options.clientId || createClientId();
+  }
+
+  /**
+   * Effectue une requête et renvoie la réponse décodée
+   * @param {string} method - Méthode HTTP
+   * @param {string} path - Chemin de la route (ex : "/api/cars/1")
+   * @param {Object} [request]
+   * @param {Object} [request.query] - Paramètres de la query string
+   * @param {*} [request.body] - Corps : objet (JSON), chaîne ou FormData
+   * @param {Object} [request.headers] - Headers de cette requête
+   * @param {AbortSignal} [request.signal] - Annulation par l'appelant
+   * @returns {Promise<{ status: number, body: *, etag: string|null, headers: Headers }>}
+   * @throws {CarsApiError} Erreur typée selon le statut
+   */
+  async request(method, path, { query, body, headers = {}, signal } = {}) {
+    const upperMethod = method.toUpperCase();
+    const maxAttempts = IDEMPOTENT_METHODS.includes(upperMethod) ? this.options.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.send(upperMethod, path, { query, body, headers, signal });
+      } catch (error) {
+        const retryable = error instanceof TimeoutError
+          || error instanceof NetworkError
+          || RETRYABLE_STATUSES.includes(error.status);
+
+        if (!retryable || attempt >= maxAttempts || (signal && signal.aborted)) throw error;
+
+        // Attente exponentielle avec un peu d'aléatoire (Retry-After respecté pour un 429)
+        const backoff = this.options.retryDelay * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+        await wait(error.retryAfter ? error.retryAfter * 1000 : backoff);
+      }
+    }
+  }
+
+  /**
+   * Une tentative de requête (voir request)
+   * @private
+   */
+  async send(method, path, { query, body, headers, signal }) {
+    const fetchImpl = this.options.fetch || globalThis.fetch;
+    const requestHeaders = this.buildHeaders(headers);
+
+    // Objet => JSON ; chaîne et FormData sont envoyés tels quels (le navigateur fixe le boundary multipart)
+    let payload = body;
+    const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
+    if (body !== undefined && typeof body !== 'string' && !isFormData) {
+      payload = JSON.stringify(body);
+      requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = this.options.timeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.options.timeout)
+      : null;
+
+    let response;
+    try {
+      response = await fetchImpl(`${this.baseUrl}${path}${toQueryString(query)}`, {
+        method,
+        headers: requestHeaders,
+        body: payload,
+        credentials: this.options.credentials,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(`Pas de réponse du serveur après ${this.options.timeout} ms`);
+      }
+      if (signal && signal.aborted) throw error;
+      throw new NetworkError(`Serveur injoignable : ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    const responseBody = await readBody(response);
+    const etag = response.headers.get('ETag');
+
+    if (response.ok || response.status === 304) {
+      return { status: response.status, body: responseBody, etag, headers: response.headers };
+    }
+
+    throw this.createError(response, responseBody);
+  }
+
+  /**
+   * Headers d'une requête : identifiant du client, authentification et langue
+   * @private
+   * @param {Object} [headers] - Headers propres à la requête
+   * @returns {Object}
+   */
+  buildHeaders(headers = {}) {
+    const requestHeaders = { 'X-Client-Id': this.clientId, ...this.options.headers, ...headers };
+
+    if (this.options.apiKey) requestHeaders['x-api-key'] = this.options.apiKey;
+    if (this.options.token) requestHeaders.Authorization = `Bearer ${this.options.token}`;
+    if (this.options.lang) requestHeaders['Accept-Language'] = this.options.lang;
+    return requestHeaders;
+  }
+
+  /**
+   * Erreur typée correspondant à une réponse hors 2xx (appelle onUnauthorized sur un 401)
+   * @private
+   * @param {Response} response
+   * @param {*} responseBody - Corps déjà lu (readBody)
+   * @returns {CarsApiError}
+   */
+  createError(response, responseBody) {
+    if (response.status === 401 && this.options.onUnauthorized) {
+      this.options.onUnauthorized();
+    }
+
+    const json = responseBody && typeof responseBody === 'object' ? responseBody : null;
+    const message = (json && (json.detail || json.title)) || `Erreur HTTP ${response.status}`;
+    const ErrorClass = ERROR_CLASSES[response.status] || CarsApiError;
+    const retryAfter = Number(response.headers.get('Retry-After')) || null;
+
+    const etag = response.headers.get('ETag');
+
+    return new ErrorClass(message, { status: response.status, body: json, etag, retryAfter });
+  }
+
+  /**
+   * Requête dont seul le corps JSON est utile
+   * @private
+   */
+  async json(method, path, request) {
+    const { body } = await this.request(method, path, request);
+    return body;
+  }
+
+  /**
+   * Requête qui renvoie une voiture et l'ETag de sa version
+   * @private
+   */
+  async carWithEtag(method, path, request) {
+    const { body, etag } = await this.request(method, path, request);
+    return { car: body.data, etag };
+  }
+
+  // ---------- Authentification ----------
+
+  /**
+   * Ouvre une session (cookie dans le navigateur, jeton conservé par le client dans Node)
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<{ user: Object, token: string, expiresIn: number }>}
+   */
+  async login(email, password) {
+    const { data } = await this.json('POST', '/api/auth/login', { body: { email, password } });
+    if (typeof document === 'undefined') this.options.token = data.token;
+    return data;
+  }
+
+  /** Ferme la session */
+  async logout() {
+    await this.json('POST', '/api/auth/logout');
+    this.options.token = null;
+  }
+
+  /** @returns {Promise<Object>} Utilisateur (ou clé API) authentifié */
+  async me() {
+    return (await this.json('GET', '/api/auth/me')).data;
+  }
+
+  // ---------- Voitures ----------
+
+  /**
+   * Liste paginée des voitures
+   * @param {Object} [query] - Filtres, tri et pagination (q, brand, yearMin, sort, page, limit...)
+   * @returns {Promise<Object>} { data, count, total, page, limit, pages, next }
+   */
+  listCars(query) {
+    return this.json('GET', '/api/cars', { query });
+  }
+
+  /**
+   * Recherche plein texte, triée par pertinence
+   * @param {string} q - Texte recherché
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} Voitures avec un extrait (snippet) dont les termes trouvés sont
+   *   entre U+E000 et U+E001 (texte brut : l'échapper avant de les remplacer par des <mark>)
+   */
+  async searchCars(q, { limit } = {}) {
+    return (await this.json('GET', '/api/cars/search', { query: { q, limit } })).data;
+  }
+
+  /**
+   * Corbeille (voitures supprimées)
+   * @param {Object} [query] - Mêmes paramètres que listCars
+   * @returns {Promise<Object>}
+   */
+  listTrash(query) {
+    return this.json('GET', '/api/cars/trash', { query });
+  }
+
+  /**
+   * Une voiture et son ETag
+   * @param {number|string} id
+   * @returns {Promise<{ car: Object, etag: string|null }>}
+   */
+  getCar(id) {
+    return this.carWithEtag('GET', `/api/cars/${id}`);
+  }
+
+  /**
+   * Crée une voiture
+   * @param {Object} car
+   * @returns {Promise<{ car: Object, etag: string|null }>}
+   */
+  createCar(car) {
+    return this.carWithEtag('POST', '/api/cars', { body: car });
+  }
+
+  /**
+   * Remplace une voiture (PUT)
+   * @param {number|string} id
+   * @param {Object} car - Tous les champs
+   * @param {Object} [options] - { ifMatch } : ETag lu, 412 (PreconditionFailedError) s'il a changé
+   * @returns {Promise<{ car: Object, etag: string|null }>}
+   */
+  updateCar(id, car, { ifMatch } = {}) {
+    return this.carWithEtag('PUT', `/api/cars/${id}`, {
+      body: car,
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+    });
+  }
+
+  /**
+   * Modifie certains champs d'une voiture (PATCH, pas de nouvelle tentative automatique)
+   * @param {number|string} id
+   * @param {Object} changes - Champs modifiés
+   * @param {Object} [options] - { ifMatch }
+   * @returns {Promise<{ car: Object, etag: string|null }>}
+   */
+  patchCar(id, changes, { ifMatch } = {}) {
+    return this.carWithEtag('PATCH', `/api/cars/${id}`, {
+      body: changes,
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+    });
+  }
+
+  /**
+   * Place une voiture dans la corbeille
+   * @param {number|string} id
+   * @param {Object} [options] - { ifMatch }
+   * @returns {Promise<Object>}
+   */
+  async deleteCar(id, { ifMatch } = {}) {
+    const body = await this.json('DELETE', `/api/cars/${id}`, {
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+    });
+    return body.data;
+  }
+
+  /**
+   * Restaure une voiture de la corbeille
+   * @param {number|string} id
+   * @returns {Promise<{ car: Object, etag: string|null }>}
+   */
+  restoreCar(id) {
+    return this.carWithEtag('POST', `/api/cars/${id}/restore`);
+  }
+
+  /**
+   * Supprime définitivement une voiture de la corbeille (admin)
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   */
+  async purgeCar(id) {
+    return (await this.json('DELETE', `/api/cars/${id}/purge`)).data;
+  }
+
+  /**
+   * Historique des modifications d'une voiture
+   * @param {number|string} id
+   * @returns {Promise<Array>}
+   */
+  async getCarHistory(id) {
+    return (await this.json('GET', `/api/cars/${id}/history`)).data;
+  }
+
+  /**
+   * Import en masse
+   * @param {Array<Object>|string} cars - Tableau de voitures, ou contenu d'un fichier CSV / JSON
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Validation sans écriture
+   * @param {string} [options.format] - 'csv' ou 'json' pour un contenu texte (csv par défaut)
+   * @returns {Promise<Object>} Rapport { total, accepted, rejected, imported, report }
+   */
+  importCars(cars, { dryRun = false, format = 'csv' } = {}) {
+    const contentType = typeof cars === 'string' && format === 'csv' ? 'text/csv' : 'application/json';
+    return this.json('POST', '/api/cars/import', {
+      query: { dryRun: dryRun ? 'true' : undefined },
+      body: cars,
+      headers: { 'Content-Type': contentType },
+    });
+  }
+
+  /**
+   * URL d'export (lien de téléchargement dans le navigateur)
+   * @param {Object} [query] - Filtres et tri, format : csv (défaut), json ou ndjson
+   * @returns {string}
+   */
+  exportUrl(query = {}) {
+    return `${this.baseUrl}/api/cars/export${toQueryString(query)}`;
+  }
+
+  /**
+   * Exporte les voitures (contenu complet du fichier)
+   * @param {Object} [query] - Filtres et tri, format : csv (défaut), json ou ndjson
+   * @returns {Promise<string|Array>} Texte CSV / NDJSON, ou tableau pour le format json
+   */
+  exportCars(query) {
+    return this.json('GET', '/api/cars/export', { query });
+  }
+
+  /**
+   * Statistiques de la collection
+   * @param {Object} [query] - Mêmes filtres que listCars
+   * @returns {Promise<Object>}
+   */
+  async getStats(query) {
+    return (await this.json('GET', '/api/cars/stats', { query })).data;
+  }
+
+  /**
+   * S'abonne aux modifications en direct (Server-Sent Events).
+   * Avec la session par cookie, le flux passe par EventSource ; avec une clé API ou un jeton
+   * (headers qu'EventSource ne sait pas envoyer), ou dans Node.js, il est lu avec fetch.
+   * Dans les deux cas, la connexion est rouverte après une coupure (avec Last-Event-ID)
+   * et les événements provoqués par ce client lui-même sont ignorés.
+   * @param {Object} handlers - Fonction par type d'événement :
+   *   'car.created', 'car.updated', 'car.deleted' (reçoivent { id, car, etag }), resync (tout recharger)
+   *   et error (facultatif, à chaque coupure ; avec fetch, le second argument est l'erreur,
+   *   et le flux s'arrête sur une erreur HTTP définitive : 401, 403...)
+   * @returns {{ close: Function }} Flux ouvert (close() pour se désabonner)
+   */
+  subscribeToEvents(handlers) {
+    const dispatch = (type, rawData, event) => {
+      const data = rawData ? JSON.parse(rawData) : {};
+      if (data.client_id && data.client_id === this.clientId) return;
+      handlers[type](data, event);
+    };
+
+    const needsHeaders = this.options.apiKey || this.options.token || Object.keys(this.options.headers).length;
+    if (needsHeaders || typeof EventSource === 'undefined') {
+      return this.streamEvents((event) => {
+        if (handlers[event.type]) dispatch(event.type, event.data, event);
+      }, (error) => {
+        if (handlers.error) handlers.error({}, error);
+      });
+    }
+
+    const source = new EventSource(`${this.baseUrl}/api/cars/events`, {
+      withCredentials: this.options.credentials === 'include',
+    });
+
+    Object.keys(handlers).forEach((type) => {
+      source.addEventListener(type, (event) => dispatch(type, event.data, event));
+    });
+
+    return source;
+  }
+
+  /**
+   * Lit le flux d'événements avec fetch (headers d'authentification compris).
+   * Reconnexion automatique après une coupure ; arrêt définitif sur une erreur HTTP
+   * autre que temporaire (401, 403...).
+   * @private
+   * @param {Function} onEvent - Appelée avec chaque événement { type, data, id, retry }
+   * @param {Function} onError - Appelée avec l'erreur à chaque coupure
+   * @returns {{ close: Function }}
+   */
+  streamEvents(onEvent, onError) {
+    const fetchImpl = this.options.fetch || globalThis.fetch;
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryDelay = EVENTS_RETRY_DELAY;
+
+    const connect = async () => {
+      const headers = this.buildHeaders({ Accept: 'text/event-stream' });
+      if (lastEventId !== null) headers['Last-Event-ID'] = lastEventId;
+
+      const response = await fetchImpl(`${this.baseUrl}/api/cars/events`, {
+        headers,
+        credentials: this.options.credentials,
+        signal: controller.signal,
+      });
+      if (!response.ok) throw this.createError(response, await readBody(response));
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        // Un événement se termine par une ligne vide ; le dernier morceau attend la suite
+        buffer += value;
+        const blocks = buffer.split(/\r\n\r\n|\n\n|\r\r/);
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+          const event = parseEventBlock(block);
+          if (event.id !== null) lastEventId = event.id;
+          if (event.retry !== null) retryDelay = event.retry;
+          if (event.data !== null) onEvent(event);
+        });
+      }
+    };
+
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        let delay = retryDelay;
+        try {
+          await connect();
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          onError(error);
+          if (error instanceof CarsApiError) {
+            if (!RETRYABLE_STATUSES.includes(error.status)) return;
+            if (error.retryAfter) delay = error.retryAfter * 1000;
+          }
+        }
+        await wait(delay);
+      }
+    };
+
+    run();
+    return { close: () => controller.abort() };
+  }
+
+  // ---------- Photos ----------
+
+  /**
+   * Photos d'une voiture, dans l'ordre de la galerie
+   * @param {number|string} id
+   * @returns {Promise<Array>}
+   */
+  async listPhotos(id) {
+    return (await this.json('GET', `/api/cars/${id}/photos`)).data;
+  }
+
+  /**
+   * Envoie des photos
+   * @param {number|string} id
+   * @param {Iterable<Blob|File>} files - Images JPEG, PNG ou WebP
+   * @returns {Promise<Array>} Galerie mise à jour
+   */
+  async uploadPhotos(id, files) {
+    const formData = new FormData();
+    Array.from(files).forEach((file, index) => {
+      formData.append('photos', file, file.name || `photo-${index + 1}`);
+    });
+    return (await this.json('POST', `/api/cars/${id}/photos`, { body: formData })).data;
+  }
+
+  /**
+   * Réordonne les photos
+   * @param {number|string} id
+   * @param {Array<number>} order - IDs de toutes les photos, dans le nouvel ordre
+   * @returns {Promise<Array>} Galerie mise à jour
+   */
+  async reorderPhotos(id, order) {
+    return (await this.json('PUT', `/api/cars/${id}/photos/order`, { body: { order } })).data;
+  }
+
+  /**
+   * Choisit la photo de couverture
+   * @param {number|string} id
+   * @param {number} photoId
+   * @returns {Promise<Array>} Galerie mise à jour
+   */
+  async setCoverPhoto(id, photoId) {
+    return (await this.json('PUT', `/api/cars/${id}/photos/${photoId}/cover`)).data;
+  }
+
+  /**
+   * Supprime une photo
+   * @param {number|string} id
+   * @param {number} photoId
+   * @returns {Promise<Array>} Galerie mise à jour
+   */
+  async deletePhoto(id, photoId) {
+    return (await this.json('DELETE', `/api/cars/${id}/photos/${photoId}`)).data;
+  }
+
+  // ---------- Administration ----------
+
+  /**
+   * Journal des modifications (admin)
+   * @param {Object} [query] - from, to, actor, actorType, action, carId, page, limit
+   * @returns {Promise<Object>} Réponse paginée
+   */
+  getAuditLog(query) {
+    return this.json('GET', '/api/audit', { query });
+  }
+
+  /** @returns {Promise<Array>} Clés API (admin) */
+  async listKeys() {
+    return (await this.json('GET', '/api/keys')).data;
+  }
+
+  /**
+   * Crée une clé API (admin) ; la clé en clair n'est renvoyée qu'une fois
+   * @param {Object} key - { label, scopes, expiresAt }
+   * @returns {Promise<Object>}
+   */
+  createKey(key) {
+    return this.json('POST', '/api/keys', { body: key });
+  }
+
+  /**
+   * Révoque une clé API (admin)
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   */
+  async revokeKey(id) {
+    return (await this.json('DELETE', `/api/keys/${id}`)).data;
+  }
+}
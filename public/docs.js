@@ -0,0 +1,20 @@
+/**
+ * ============================================
+ * DOCS.JS - Documentation interactive de l'API
+ * ============================================
+ *
+ * Affiche la spécification publiée sur /openapi.json avec Swagger UI.
+ * Le bouton "Authorize" permet de saisir une clé API (header x-api-key) ;
+ * connecté à l'interface, le cookie de session suffit pour "Try it out".
+ */
+
+// ========== INITIALISATION ==========
+
+window.addEventListener('DOMContentLoaded', () => {
+  window.ui = SwaggerUIBundle({
+    url: '/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * ============================================
+ * DOM.MJS - Rendu HTML sans injection
+ * ============================================
+ *
+ * Module partagé par les pages de l'interface :
+ * - html`...` : gabarit dont toutes les valeurs insérées sont échappées
+ *   (un nom de voiture "<img onerror=...>" s'affiche tel quel, sans s'exécuter)
+ * - render() : remplace le contenu d'un élément par un gabarit html`...`
+ *
+ * Seul ce module écrit dans innerHTML, et uniquement à partir d'un gabarit html`...`.
+ * Pour insérer du HTML dans un gabarit, passer un autre gabarit html`...` (ou un tableau de gabarits).
+ */
+
+// ========== ÉCHAPPEMENT ==========
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Échappe les caractères spéciaux HTML d'une valeur
+ * @param {*} value - Valeur à afficher
+ * @returns {string} Texte sûr dans un contenu ou un attribut entre guillemets
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// ========== GABARITS ==========
+
+/**
+ * HTML produit par html`...` : le seul type inséré sans échappement
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Convertit une valeur insérée dans un gabarit
+ * @param {*} value - Texte, nombre, gabarit html`...`, tableau, ou null/undefined/false (rien)
+ * @returns {string}
+ */
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Gabarit HTML dont les valeurs insérées sont échappées
+ * @example html`<td>${car.brand}</td>`
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce(
+    (result, string, index) => result + string + (index < values.length ? renderValue(values[index]) : ''),
+    '',
+  ));
+}
+
+// ========== RENDU ==========
+
+/**
+ * Remplace le contenu d'un élément
+ * @param {Element} element - Élément à remplir
+ * @param {SafeHtml|string} content - Gabarit html`...` (une chaîne est affichée comme du texte)
+ */
+export function render(element, content) {
+  const template = document.createElement('template');
+  template.innerHTML = renderValue(content);
+  element.replaceChildren(template.content);
+}
@@ -0,0 +1,558 @@
+/**
+ * ============================================
+ * I18N.MJS - Langue de l'interface (français, anglais)
+ * ============================================
+ *
+ * Module partagé par les pages de l'interface :
+ * - choix de la langue (sélecteur de la barre de navigation, mémorisé dans localStorage)
+ * - traduction des textes : t('clé', { paramètres }) dans les scripts,
+ *   attributs data-i18n dans les pages HTML (voir translatePage)
+ * - formatage des nombres, prix et dates selon la langue choisie
+ *
+ * Les messages renvoyés par l'API sont traduits par le serveur :
+ * le client de l'API envoie la langue dans le header Accept-Language.
+ */
+
+// ========== CONFIGURATION ==========
+
+/**
+ * Langues proposées et format régional associé
+ */
+export const LANGUAGES = {
+  fr: { label: 'Français', locale: 'fr-FR' },
+  en: { label: 'English', locale: 'en-GB' },
+};
+
+const DEFAULT_LANGUAGE = 'fr';
+
+/**
+ * Clé localStorage de la langue choisie
+ */
+const STORAGE_KEY = 'tp2-lang';
+
+/**
+ * Devise des prix enregistrés dans l'API
+ */
+const CURRENCY = 'EUR';
+
+// ========== CATALOGUES ==========
+
+const MESSAGES = {
+  fr: {
+    // Commun aux pages
+    'nav.brand': 'TP2 Interface - Voitures',
+    'nav.cars': 'Liste des voitures',
+    'nav.stats': 'Statistiques',
+    'nav.toggle': 'Afficher la navigation',
+    'nav.language': 'Langue',
+    'nav.logout': 'Déconnexion',
+    'common.close': 'Fermer',
+    'common.cancel': 'Annuler',
+    'common.loading': 'Chargement...',
+    'common.refresh': 'Rafraîchir',
+    'common.back_to_list': 'Retour à la liste',
+    'common.offline': 'Hors ligne : données de la dernière connexion. Les ajouts et suppressions seront envoyés au retour du réseau.',
+    'common.delete_queued': 'Hors ligne : la suppression sera envoyée au retour de la connexion.',
+    'common.synced': '{count} modification(s) faite(s) hors ligne synchronisée(s).',
+    'common.sync_error': 'Erreur lors de la synchronisation : {message}',
+    'fields.id': 'ID',
+    'fields.brand': 'Marque',
+    'fields.model': 'Modèle',
+    'fields.year': 'Année',
+    'fields.color': 'Couleur',
+    'fields.price': 'Prix',
+    'fields.mileage': 'Kilométrage',
+    'fields.description': 'Description',
+    'fields.actions': 'Actions',
+
+    // File d'attente hors ligne (offline.mjs)
+    'offline.create': 'l’ajout de {label}',
+    'offline.delete': 'la suppression de la voiture #{id}',
+    'offline.conflict': 'Conflit : {action} a été annulée, la voiture a été modifiée entre-temps.',
+    'offline.failed': 'Échec de {action} : {message}',
+
+    // Liste (index.html)
+    'list.title': 'TP2 Interface - Voitures classiques',
+    'list.heading': 'Liste des voitures',
+    'list.export': 'Exporter',
+    'list.export_format': 'Choisir le format d’export',
+    'list.export_csv': 'CSV (tableur)',
+    'list.search': 'Recherche',
+    'list.search_placeholder': 'Marque, modèle, description… (ex : Porsch*)',
+    'list.year_min': 'Année min',
+    'list.year_max': 'Année max',
+    'list.price_min': 'Prix min',
+    'list.price_max': 'Prix max',
+    'list.filter': 'Filtrer',
+    'list.clear': 'Effacer',
+    'list.per_page': 'Par page',
+    'list.pages': 'Pages de la liste',
+    'list.previous': 'Page précédente',
+    'list.next': 'Page suivante',
+    'list.summary': '{first}–{last} sur {total} voiture(s)',
+    'list.empty': 'Aucune voiture trouvée.',
+    'list.view': 'Voir',
+    'list.delete': 'Supprimer',
+    'list.pending': 'En attente de connexion',
+    'list.confirm_delete': 'Supprimer la voiture #{id} ({label}) ?',
+    'list.deleted': 'Voiture placée dans la corbeille.',
+    'list.undo': 'Annuler',
+    'list.undone': 'Suppression annulée.',
+    'list.undo_error': 'Impossible d’annuler la suppression : {message}',
+    'list.delete_error': 'Erreur lors de la suppression : {message}',
+    'list.load_error': 'Erreur lors du chargement des voitures : {message}',
+    'list.live_created': 'Nouvelle voiture : {label} ({year}).',
+    'list.live_created_many': '{count} nouvelles voitures.',
+    'list.live_show': 'Afficher',
+    'list.live_deleted': 'La voiture #{id} a été placée dans la corbeille par un autre utilisateur.',
+    'form.heading': 'Ajouter une voiture',
+    'form.price': 'Prix (€)',
+    'form.mileage': 'Kilométrage (km)',
+    'form.reset': 'Réinitialiser',
+    'form.submit': 'Ajouter',
+    'form.submitting': 'Ajout...',
+    'form.created': 'Voiture ajoutée avec succès.',
+    'form.queued': 'Hors ligne : la voiture sera enregistrée au retour de la connexion.',
+    'form.error': 'Erreur lors de l’ajout : {message}',
+    'import.heading': 'Importer des voitures',
+    'import.help': 'Fichier CSV ou tableau JSON. Les lignes sont vérifiées avec les mêmes règles que le formulaire d’ajout.',
+    'import.csv_header': 'Ligne d’en-tête du CSV (séparateur , ou ;) :',
+    'import.file': 'Fichier',
+    'import.preview': 'Prévisualiser',
+    'import.submit': 'Importer',
+    'import.submitting': 'Import...',
+    'import.line': 'Ligne',
+    'import.status': 'Statut',
+    'import.car': 'Voiture',
+    'import.errors': 'Erreurs',
+    'import.accepted': 'Acceptée',
+    'import.rejected': 'Rejetée',
+    'import.preview_summary': 'Prévisualisation : {accepted} ligne(s) acceptée(s), {rejected} rejetée(s) sur {total}.',
+    'import.summary': '{imported} voiture(s) importée(s), {rejected} ligne(s) rejetée(s) sur {total}.',
+    'import.done': '{count} voiture(s) importée(s).',
+    'import.preview_error': 'Erreur lors de la prévisualisation : {message}',
+    'import.error': 'Erreur lors de l’import : {message}',
+    'config.heading': 'Configuration',
+    'config.help': 'L’interface utilise votre session. Les scripts et intégrations accèdent à l’API avec une clé fournie par un administrateur, envoyée dans le header',
+
+    // Fiche d'une voiture (car.html)
+    'car.title': 'Détails de la voiture - TP2 Interface',
+    'car.loading': 'Chargement des détails de la voiture...',
+    'car.back': '← Retour à la liste',
+    'car.heading': 'Détails de la voiture',
+    'car.general': 'Informations générales',
+    'car.specs': 'Caractéristiques',
+    'car.label_id': 'ID :',
+    'car.label_brand': 'Marque :',
+    'car.label_model': 'Modèle :',
+    'car.label_year': 'Année :',
+    'car.label_color': 'Couleur :',
+    'car.label_price': 'Prix :',
+    'car.label_mileage': 'Kilométrage :',
+    'car.label_created': 'Date d\'ajout :',
+    'car.no_description': 'Aucune description disponible.',
+    'car.edit': 'Modifier',
+    'car.delete': 'Supprimer cette voiture',
+    'car.deleting': 'Suppression...',
+    'car.cancel_edit': 'Annuler les modifications',
+    'car.save': 'Enregistrer',
+    'car.saving': 'Enregistrement...',
+    'car.updated': 'Voiture mise à jour avec succès.',
+    'car.save_error': 'Erreur lors de l’enregistrement : {message}',
+    'car.confirm_delete': 'Êtes-vous sûr de vouloir supprimer cette voiture ? Elle sera placée dans la corbeille.',
+    'car.deleted': 'Voiture placée dans la corbeille. Redirection...',
+    'car.delete_queued': 'Hors ligne : la suppression sera envoyée au retour de la connexion. Redirection...',
+    'car.delete_error': 'Erreur lors de la suppression : {message}',
+    'car.error': 'Erreur',
+    'car.error_default': 'Une erreur est survenue lors du chargement des détails.',
+    'car.missing_id': 'ID de voiture manquant dans l\'URL. Format attendu : car.html?id=1',
+    'car.invalid_id': 'ID de voiture invalide. L\'ID doit être un nombre positif.',
+    'car.load_error': 'Erreur lors du chargement : {message}',
+    'car.remote_editing': 'Cette voiture vient d’être modifiée par un autre utilisateur.',
+    'car.remote_updated': 'Voiture mise à jour par un autre utilisateur.',
+    'car.remote_deleted': 'Cette voiture a été placée dans la corbeille par un autre utilisateur.',
+    'photos.heading': 'Photos',
+    'photos.loading': 'Chargement des photos...',
+    'photos.drop': 'Déposez des photos ici ou cliquez pour choisir',
+    'photos.limits': 'JPEG, PNG ou WebP, 5 Mo maximum par photo',
+    'photos.empty': 'Aucune photo pour cette voiture.',
+    'photos.unavailable': 'Photos indisponibles : {message}',
+    'photos.cover': 'Couverture',
+    'photos.move_left': 'Déplacer vers la gauche',
+    'photos.move_right': 'Déplacer vers la droite',
+    'photos.set_cover': 'Choisir comme couverture',
+    'photos.delete': 'Supprimer la photo',
+    'photos.confirm_delete': 'Supprimer définitivement cette photo ?',
+    'photos.uploaded': '{count} photo(s) ajoutée(s).',
+    'photos.deleted': 'Photo supprimée.',
+    'photos.upload_error': 'Erreur lors de l’envoi des photos : {message}',
+    'photos.reorder_error': 'Erreur lors du changement d’ordre : {message}',
+    'photos.cover_error': 'Erreur lors du choix de la couverture : {message}',
+    'photos.delete_error': 'Erreur lors de la suppression de la photo : {message}',
+    'history.heading': 'Historique des modifications',
+    'history.loading': 'Chargement de l\'historique...',
+    'history.empty': 'Aucune modification enregistrée.',
+    'history.unavailable': 'Historique indisponible : {message}',
+    'history.entry': '{action} par {actor}',
+    'history.create': 'Création',
+    'history.update': 'Modification',
+    'history.delete': 'Suppression',
+    'conflict.title': 'Modification concurrente',
+    'conflict.text': 'Cette voiture a été modifiée par quelqu’un d’autre depuis l’ouverture de la page. Votre action n’a pas été enregistrée.',
+    'conflict.field': 'Champ',
+    'conflict.shown': 'Version affichée',
+    'conflict.current': 'Version actuelle',
+    'conflict.reload': 'Afficher la version actuelle',
+    'conflict.overwrite': 'Continuer quand même',
+    'conflict.no_changes': 'Aucun champ affiché n’a changé.',
+    'conflict.gone': 'La voiture n’existe plus.',
+
+    // Statistiques (stats.html)
+    'stats.title': 'Statistiques - TP2 Interface',
+    'stats.heading': 'Statistiques de la collection',
+    'stats.count': 'Voitures',
+    'stats.total': 'Valeur totale',
+    'stats.average': 'Valeur moyenne',
+    'stats.by_brand': 'Valeur par marque',
+    'stats.by_decade': 'Voitures par décennie',
+    'stats.price': 'Répartition des prix',
+    'stats.mileage': 'Répartition des kilométrages',
+    'stats.most_valuable': 'Les plus chères',
+    'stats.least_valuable': 'Les moins chères',
+    'stats.no_data': 'Aucune donnée à afficher.',
+    'stats.no_price': 'Aucune voiture avec un prix renseigné.',
+    'stats.valued': '{valued} voiture(s) sur {count} ont un prix renseigné',
+    'stats.brand_title': '{brand} : {count} voiture(s), {total} (moyenne {average})',
+    'stats.brand_description': 'Valeur totale des voitures par marque',
+    'stats.decade_label': '{decade}s',
+    'stats.decade_title': 'Années {decade} : {count} voiture(s), {total}',
+    'stats.decade_description': 'Nombre de voitures par décennie de fabrication',
+    'stats.values': '{description} ({count} valeurs)',
+    'stats.min': 'Minimum',
+    'stats.q1': '1er quartile',
+    'stats.median': 'Médiane',
+    'stats.q3': '3e quartile',
+    'stats.max': 'Maximum',
+    'stats.load_error': 'Erreur lors du chargement des statistiques : {message}',
+  },
+
+  en: {
+    'nav.brand': 'TP2 Interface - Cars',
+    'nav.cars': 'Car list',
+    'nav.stats': 'Statistics',
+    'nav.toggle': 'Toggle navigation',
+    'nav.language': 'Language',
+    'nav.logout': 'Log out',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.loading': 'Loading...',
+    'common.refresh': 'Refresh',
+    'common.back_to_list': 'Back to the list',
+    'common.offline': 'Offline: showing data from the last connection. Additions and deletions will be sent when the network is back.',
+    'common.delete_queued': 'Offline: the deletion will be sent when the connection is back.',
+    'common.synced': '{count} offline change(s) synchronized.',
+    'common.sync_error': 'Synchronization failed: {message}',
+    'fields.id': 'ID',
+    'fields.brand': 'Brand',
+    'fields.model': 'Model',
+    'fields.year': 'Year',
+    'fields.color': 'Colour',
+    'fields.price': 'Price',
+    'fields.mileage': 'Mileage',
+    'fields.description': 'Description',
+    'fields.actions': 'Actions',
+
+    'offline.create': 'adding {label}',
+    'offline.delete': 'deleting car #{id}',
+    'offline.conflict': 'Conflict: {action} was cancelled, the car was modified in the meantime.',
+    'offline.failed': 'Failed {action}: {message}',
+
+    'list.title': 'TP2 Interface - Classic cars',
+    'list.heading': 'Car list',
+    'list.export': 'Export',
+    'list.export_format': 'Choose the export format',
+    'list.export_csv': 'CSV (spreadsheet)',
+    'list.search': 'Search',
+    'list.search_placeholder': 'Brand, model, description… (e.g. Porsch*)',
+    'list.year_min': 'Min year',
+    'list.year_max': 'Max year',
+    'list.price_min': 'Min price',
+    'list.price_max': 'Max price',
+    'list.filter': 'Filter',
+    'list.clear': 'Clear',
+    'list.per_page': 'Per page',
+    'list.pages': 'List pages',
+    'list.previous': 'Previous page',
+    'list.next': 'Next page',
+    'list.summary': '{first}–{last} of {total} car(s)',
+    'list.empty': 'No cars found.',
+    'list.view': 'View',
+    'list.delete': 'Delete',
+    'list.pending': 'Waiting for connection',
+    'list.confirm_delete': 'Delete car #{id} ({label})?',
+    'list.deleted': 'Car moved to the trash.',
+    'list.undo': 'Undo',
+    'list.undone': 'Deletion undone.',
+    'list.undo_error': 'Could not undo the deletion: {message}',
+    'list.delete_error': 'Could not delete the car: {message}',
+    'list.load_error': 'Could not load the cars: {message}',
+    'list.live_created': 'New car: {label} ({year}).',
+    'list.live_created_many': '{count} new cars.',
+    'list.live_show': 'Show',
+    'list.live_deleted': 'Car #{id} was moved to the trash by another user.',
+    'form.heading': 'Add a car',
+    'form.price': 'Price (€)',
+    'form.mileage': 'Mileage (km)',
+    'form.reset': 'Reset',
+    'form.submit': 'Add',
+    'form.submitting': 'Adding...',
+    'form.created': 'Car added successfully.',
+    'form.queued': 'Offline: the car will be saved when the connection is back.',
+    'form.error': 'Could not add the car: {message}',
+    'import.heading': 'Import cars',
+    'import.help': 'CSV file or JSON array. Rows are checked with the same rules as the add form.',
+    'import.csv_header': 'CSV header row (separator , or ;):',
+    'import.file': 'File',
+    'import.preview': 'Preview',
+    'import.submit': 'Import',
+    'import.submitting': 'Importing...',
+    'import.line': 'Line',
+    'import.status': 'Status',
+    'import.car': 'Car',
+    'import.errors': 'Errors',
+    'import.accepted': 'Accepted',
+    'import.rejected': 'Rejected',
+    'import.preview_summary': 'Preview: {accepted} row(s) accepted, {rejected} rejected out of {total}.',
+    'import.summary': '{imported} car(s) imported, {rejected} row(s) rejected out of {total}.',
+    'import.done': '{count} car(s) imported.',
+    'import.preview_error': 'Preview failed: {message}',
+    'import.error': 'Import failed: {message}',
+    'config.heading': 'Configuration',
+    'config.help': 'The interface uses your session. Scripts and integrations access the API with a key provided by an administrator, sent in the header',
+
+    'car.title': 'Car details - TP2 Interface',
+    'car.loading': 'Loading car details...',
+    'car.back': '← Back to the list',
+    'car.heading': 'Car details',
+    'car.general': 'General information',
+    'car.specs': 'Specifications',
+    'car.label_id': 'ID:',
+    'car.label_brand': 'Brand:',
+    'car.label_model': 'Model:',
+    'car.label_year': 'Year:',
+    'car.label_color': 'Colour:',
+    'car.label_price': 'Price:',
+    'car.label_mileage': 'Mileage:',
+    'car.label_created': 'Added on:',
+    'car.no_description': 'No description available.',
+    'car.edit': 'Edit',
+    'car.delete': 'Delete this car',
+    'car.deleting': 'Deleting...',
+    'car.cancel_edit': 'Discard changes',
+    'car.save': 'Save',
+    'car.saving': 'Saving...',
+    'car.updated': 'Car updated successfully.',
+    'car.save_error': 'Could not save the car: {message}',
+    'car.confirm_delete': 'Are you sure you want to delete this car? It will be moved to the trash.',
+    'car.deleted': 'Car moved to the trash. Redirecting...',
+    'car.delete_queued': 'Offline: the deletion will be sent when the connection is back. Redirecting...',
+    'car.delete_error': 'Could not delete the car: {message}',
+    'car.error': 'Error',
+    'car.error_default': 'An error occurred while loading the details.',
+    'car.missing_id': 'Car ID missing from the URL. Expected format: car.html?id=1',
+    'car.invalid_id': 'Invalid car ID. The ID must be a positive number.',
+    'car.load_error': 'Could not load the car: {message}',
+    'car.remote_editing': 'This car has just been modified by another user.',
+    'car.remote_updated': 'Car updated by another user.',
+    'car.remote_deleted': 'This car was moved to the trash by another user.',
+    'photos.heading': 'Photos',
+    'photos.loading': 'Loading photos...',
+    'photos.drop': 'Drop photos here or click to choose',
+    'photos.limits': 'JPEG, PNG or WebP, 5 MB max per photo',
+    'photos.empty': 'No photos for this car.',
+    'photos.unavailable': 'Photos unavailable: {message}',
+    'photos.cover': 'Cover',
+    'photos.move_left': 'Move left',
+    'photos.move_right': 'Move right',
+    'photos.set_cover': 'Use as cover',
+    'photos.delete': 'Delete the photo',
+    'photos.confirm_delete': 'Permanently delete this photo?',
+    'photos.uploaded': '{count} photo(s) added.',
+    'photos.deleted': 'Photo deleted.',
+    'photos.upload_error': 'Could not upload the photos: {message}',
+    'photos.reorder_error': 'Could not change the order: {message}',
+    'photos.cover_error': 'Could not set the cover: {message}',
+    'photos.delete_error': 'Could not delete the photo: {message}',
+    'history.heading': 'Change history',
+    'history.loading': 'Loading history...',
+    'history.empty': 'No changes recorded.',
+    'history.unavailable': 'History unavailable: {message}',
+    'history.entry': '{action} by {actor}',
+    'history.create': 'Creation',
+    'history.update': 'Update',
+    'history.delete': 'Deletion',
+    'conflict.title': 'Concurrent change',
+    'conflict.text': 'This car was modified by someone else since the page was opened. Your action was not saved.',
+    'conflict.field': 'Field',
+    'conflict.shown': 'Displayed version',
+    'conflict.current': 'Current version',
+    'conflict.reload': 'Show the current version',
+    'conflict.overwrite': 'Continue anyway',
+    'conflict.no_changes': 'None of the displayed fields changed.',
+    'conflict.gone': 'The car no longer exists.',
+
+    'stats.title': 'Statistics - TP2 Interface',
+    'stats.heading': 'Collection statistics',
+    'stats.count': 'Cars',
+    'stats.total': 'Total value',
+    'stats.average': 'Average value',
+    'stats.by_brand': 'Value by brand',
+    'stats.by_decade': 'Cars by decade',
+    'stats.price': 'Price distribution',
+    'stats.mileage': 'Mileage distribution',
+    'stats.most_valuable': 'Most valuable',
+    'stats.least_valuable': 'Least valuable',
+    'stats.no_data': 'No data to display.',
+    'stats.no_price': 'No car with a price.',
+    'stats.valued': '{valued} of {count} car(s) have a price',
+    'stats.brand_title': '{brand}: {count} car(s), {total} (average {average})',
+    'stats.brand_description': 'Total value of the cars by brand',
+    'stats.decade_label': '{decade}s',
+    'stats.decade_title': '{decade}s: {count} car(s), {total}',
+    'stats.decade_description': 'Number of cars by decade of manufacture',
+    'stats.values': '{description} ({count} values)',
+    'stats.min': 'Minimum',
+    'stats.q1': '1st quartile',
+    'stats.median': 'Median',
+    'stats.q3': '3rd quartile',
+    'stats.max': 'Maximum',
+    'stats.load_error': 'Could not load the statistics: {message}',
+  },
+};
+
+// ========== LANGUE ==========
+
+/**
+ * Langue choisie : celle mémorisée, sinon la première langue du navigateur proposée, sinon le français
+ * @returns {string}
+ */
+function detectLanguage() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (LANGUAGES[stored]) return stored;
+
+  const preferred = (navigator.languages || [navigator.language])
+    .map((tag) => String(tag).split('-')[0].toLowerCase())
+    .find((code) => LANGUAGES[code]);
+  return preferred || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Langue de l'interface ('fr' ou 'en') et format régional associé (ex : 'fr-FR')
+ */
+export const lang = detectLanguage();
+export const locale = LANGUAGES[lang].locale;
+
+/**
+ * Traduit un texte de l'interface. Les {paramètres} sont remplacés par leur valeur.
+ * @param {string} key - Clé du texte (ex : 'list.heading')
+ * @param {Object} [params] - Valeurs des paramètres
+ * @returns {string} Texte traduit (français si absent, la clé en dernier recours)
+ */
+export function t(key, params = {}) {
+  const template = MESSAGES[lang][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// ========== FORMATAGE ==========
+
+/**
+ * Formate un nombre avec les séparateurs de la langue choisie
+ * @param {number|string|null} value - Valeur à formater
+ * @param {Object} [options] - Options de Intl.NumberFormat
+ * @returns {string} Nombre formaté ou '-' si valeur vide
+ */
+export function formatNumber(value, options) {
+  if (value === null || value === undefined || value === '') return '-';
+  return new Intl.NumberFormat(locale, options).format(Number(value));
+}
+
+/**
+ * Formate un prix en euros (ex : "45 000 €" ou "€45,000")
+ * @param {number|string|null} value - Montant
+ * @param {Object} [options] - Options de Intl.NumberFormat (ex : { maximumFractionDigits: 0 })
+ * @returns {string}
+ */
+export function formatPrice(value, options = {}) {
+  return formatNumber(value, { style: 'currency', currency: CURRENCY, minimumFractionDigits: 0, ...options });
+}
+
+/**
+ * Formate un kilométrage (ex : "12 000 km")
+ * @param {number|string|null} value - Distance en kilomètres
+ * @returns {string}
+ */
+export function formatMileage(value) {
+  return formatNumber(value, { style: 'unit', unit: 'kilometer', maximumFractionDigits: 0 });
+}
+
+/**
+ * Formate une date avec l'heure
+ * @param {string} dateString - Date au format ISO
+ * @returns {string} Date formatée ou '-' si vide
+ */
+export function formatDate(dateString) {
+  if (!dateString) return '-';
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return dateString;
+
+  return date.toLocaleDateString(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+// ========== PAGE ==========
+
+/**
+ * Traduit les éléments d'une page :
+ * - data-i18n : contenu texte
+ * - data-i18n-placeholder, data-i18n-title, data-i18n-aria-label : attribut correspondant
+ * @param {ParentNode} [root=document] - Zone à traduire
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = lang;
+
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  ['placeholder', 'title', 'aria-label'].forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+/**
+ * Remplit le sélecteur de langue ; un changement est mémorisé puis la page est rechargée
+ * (textes, formats et messages de l'API dans la nouvelle langue)
+ * @param {HTMLSelectElement|null} select - Sélecteur de la barre de navigation
+ */
+export function initLanguageSelect(select) {
+  if (!select) return;
+
+  select.replaceChildren(...Object.entries(LANGUAGES).map(([code, { label }]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = label;
+    option.selected = code === lang;
+    return option;
+  }));
+
+  select.addEventListener('change', () => {
+    localStorage.setItem(STORAGE_KEY, select.value);
+    window.location.reload();
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * ============================================
+ * LOGIN.JS - Page de connexion
+ * ============================================
+ *
+ * Envoie les identifiants à POST /api/auth/login. Le serveur répond
+ * avec un cookie de session HttpOnly, utilisé ensuite automatiquement
+ * par les requêtes fetch des autres pages.
+ *
+ * Exemple d'URL : login.html?next=/car.html?id=1
+ */
+
+// ========== CONFIGURATION ==========
+
+/**
+ * URL de la route de connexion
+ */
+const LOGIN_URL = '/api/auth/login';
+
+// ========== SÉLECTEURS DOM ==========
+
+const loginForm = document.getElementById('login-form');
+const alertContainer = document.getElementById('alert-container');
+
+// ========== FONCTIONS UTILITAIRES ==========
+
+/**
+ * Affiche un message d'erreur au-dessus du formulaire
+ * @param {string} message - Message à afficher
+ */
+function showError(message) {
+  const alert = document.createElement('div');
+  alert.className = 'alert alert-danger';
+  alert.setAttribute('role', 'alert');
+  alert.textContent = message;
+  alertContainer.replaceChildren(alert);
+}
+
+/**
+ * Page à afficher après la connexion (chemins relatifs au site uniquement)
+ * @returns {string}
+ */
+function getNextUrl() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  return next && next.startsWith('/') && !next.startsWith('//') ? next : 'index.html';
+}
+
+// ========== GESTION DES ÉVÉNEMENTS ==========
+
+/**
+ * Gère la soumission du formulaire de connexion
+ * @param {Event} event - Événement de soumission du formulaire
+ */
+async function handleLogin(event) {
+  event.preventDefault();
+
+  const submitBtn = loginForm.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Connexion...';
+
+  try {
+    const credentials = Object.fromEntries(new FormData(loginForm).entries());
+    const response = await fetch(LOGIN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.detail || data.title || `Erreur HTTP ${response.status}`);
+    }
+
+    window.location.href = getNextUrl();
+  } catch (error) {
+    showError(`Connexion impossible : ${error.message}`);
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Se connecter';
+  }
+}
+
+// ========== INITIALISATION ==========
+
+document.addEventListener('DOMContentLoaded', () => {
+  loginForm.addEventListener('submit', handleLogin);
+});
@@ -0,0 +1,254 @@
+/**
+ * ============================================
+ * OFFLINE.MJS - Fonctionnement hors connexion
+ * ============================================
+ *
+ * Module partagé par les pages de l'interface :
+ * - enregistrement du service worker (sw.js), qui garde en cache les pages,
+ *   les scripts et les dernières réponses de l'API
+ * - file d'attente (outbox) IndexedDB des créations et suppressions faites hors ligne,
+ *   rejouées au retour de la connexion. Chaque modification est rattachée à l'utilisateur
+ *   qui l'a faite : après un changement de compte, seules les siennes sont affichées et envoyées.
+ *
+ * Technologies utilisées :
+ * - Service Worker API et Cache Storage (voir sw.js)
+ * - IndexedDB pour conserver les modifications en attente (même après fermeture de l'onglet)
+ * - Web Locks API pour qu'un seul onglet rejoue la file à la fois
+ */
+
+import {
+  AuthenticationError,
+  NetworkError,
+  NotFoundError,
+  PreconditionFailedError,
+  RateLimitError,
+  TimeoutError,
+} from './cars-client.mjs';
+import { t } from './i18n.mjs';
+
+// ========== CONFIGURATION ==========
+
+const DB_NAME = 'tp2-offline';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+
+/**
+ * Limite de débit atteinte (429) pendant la synchronisation : nombre d'envois d'une même
+ * modification, et délai d'attente (secondes) si l'API n'envoie pas Retry-After
+ */
+const RATE_LIMIT_ATTEMPTS = 3;
+const RATE_LIMIT_DELAY = 30;
+
+// ========== SERVICE WORKER ==========
+
+/**
+ * Enregistre le service worker (ignoré si le navigateur ne le permet pas, ex : HTTP hors localhost)
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.error('Service worker non enregistré :', error);
+  });
+}
+
+/**
+ * Appelle onChange(true/false) maintenant, puis à chaque perte ou retour de la connexion
+ * @param {Function} onChange - Reçoit true si le navigateur est en ligne
+ */
+export function watchConnection(onChange) {
+  window.addEventListener('online', () => onChange(true));
+  window.addEventListener('offline', () => onChange(false));
+  onChange(navigator.onLine);
+}
+
+/**
+ * Indique si une requête a échoué faute de connexion (la modification peut être mise en attente)
+ * @param {Error} error - Erreur levée par le client de l'API
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  return error instanceof NetworkError || !navigator.onLine;
+}
+
+// ========== OUTBOX (IndexedDB) ==========
+
+/**
+ * Ouvre la base IndexedDB (créée au premier appel)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Exécute une opération sur la file d'attente dans une transaction
+ * @param {string} mode - 'readonly' ou 'readwrite'
+ * @param {Function} operation - Reçoit le store, renvoie une IDBRequest
+ * @returns {Promise<*>} Résultat de la requête
+ */
+async function withOutbox(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = operation(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Met une modification en attente
+ * @param {Object} user - Utilisateur connecté (auteur de la modification)
+ * @param {Object} mutation - { type: 'create', car } ou { type: 'delete', carId, etag, label }
+ * @returns {Promise<number>} ID de la modification dans la file
+ */
+export function queueMutation(user, mutation) {
+  return withOutbox('readwrite', (store) => store.add({
+    ...mutation,
+    userId: user.id,
+    queuedAt: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Modifications en attente d'un utilisateur, dans l'ordre où elles ont été faites
+ * @param {Object} user - Utilisateur connecté
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPendingMutations(user) {
+  const mutations = await withOutbox('readonly', (store) => store.getAll());
+  return mutations.filter((mutation) => mutation.userId === user.id);
+}
+
+/**
+ * Retire une modification de la file
+ * @param {number} id - ID de la modification
+ */
+function removeMutation(id) {
+  return withOutbox('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Libellé lisible d'une modification en attente (messages à l'utilisateur)
+ * @param {Object} mutation - Modification en attente
+ * @returns {string}
+ */
+export function describeMutation(mutation) {
+  if (mutation.type === 'create') {
+    return t('offline.create', { label: `${mutation.car.brand} ${mutation.car.model}` });
+  }
+  return `${t('offline.delete', { id: mutation.carId })}${mutation.label ? ` (${mutation.label})` : ''}`;
+}
+
+// ========== SYNCHRONISATION ==========
+
+/**
+ * Indique si une erreur est temporaire : la modification reste dans la file pour un prochain essai
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTemporaryError(error) {
+  return error instanceof NetworkError
+    || error instanceof TimeoutError
+    || error instanceof AuthenticationError
+    || error instanceof RateLimitError
+    || error.status >= 500;
+}
+
+/**
+ * Envoie une modification en attente à l'API
+ * @param {CarsClient} api - Client de l'API
+ * @param {Object} mutation - Modification en attente
+ */
+async function sendMutation(api, mutation) {
+  if (mutation.type === 'create') {
+    await api.createCar(mutation.car);
+    return;
+  }
+
+  try {
+    // If-Match : une voiture modifiée depuis la suppression hors ligne n'est pas supprimée (412)
+    await api.deleteCar(mutation.carId, { ifMatch: mutation.etag });
+  } catch (error) {
+    // Déjà supprimée ailleurs : le résultat voulu est atteint
+    if (!(error instanceof NotFoundError)) throw error;
+  }
+}
+
+/**
+ * Envoie une modification en attente ; limite de débit atteinte (429) : attend le délai
+ * indiqué par Retry-After puis recommence
+ * @param {CarsClient} api - Client de l'API
+ * @param {Object} mutation - Modification en attente
+ */
+async function sendMutationWhenAllowed(api, mutation) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await sendMutation(api, mutation);
+      return;
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || attempt >= RATE_LIMIT_ATTEMPTS) throw error;
+      const delay = (error.retryAfter || RATE_LIMIT_DELAY) * 1000;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Rejoue la file d'attente dans l'ordre. S'arrête à la première erreur temporaire
+ * (connexion de nouveau perdue, session expirée, limite de débit...) ; les autres échecs sont des conflits,
+ * retirés de la file et renvoyés pour être signalés à l'utilisateur.
+ * Les modifications des autres comptes restent dans la file (envoyées à leur reconnexion).
+ * @param {CarsClient} api - Client de l'API
+ * @param {Object} user - Utilisateur connecté
+ * @returns {Promise<{ replayed: Array<Object>, conflicts: Array<{ mutation: Object, error: Error }> }>}
+ */
+export async function replayOutbox(api, user) {
+  const replay = async () => {
+    const replayed = [];
+    const conflicts = [];
+
+    for (const mutation of await listPendingMutations(user)) {
+      try {
+        await sendMutationWhenAllowed(api, mutation);
+        replayed.push(mutation);
+      } catch (error) {
+        if (isTemporaryError(error)) break;
+        conflicts.push({ mutation, error });
+      }
+      await removeMutation(mutation.id);
+    }
+
+    return { replayed, conflicts };
+  };
+
+  // Un seul onglet à la fois, sinon une création pourrait être envoyée deux fois
+  return navigator.locks ? navigator.locks.request('tp2-outbox', replay) : replay();
+}
+
+/**
+ * Message expliquant un conflit de synchronisation
+ * @param {{ mutation: Object, error: Error }} conflict
+ * @returns {string}
+ */
+export function describeConflict({ mutation, error }) {
+  if (error instanceof PreconditionFailedError) {
+    return t('offline.conflict', { action: describeMutation(mutation) });
+  }
+  return t('offline.failed', { action: describeMutation(mutation), message: error.message });
+}
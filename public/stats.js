@@ -0,0 +1,484 @@
+/**
+ * ============================================
+ * STATS.JS - Tableau de bord de la collection
+ * ============================================
+ *
+ * Ce fichier affiche les statistiques renvoyées par GET /api/cars/stats :
+ * chiffres clés, valeur par marque, répartition par décennie,
+ * quartiles des prix et kilométrages, voitures les plus et moins chères.
+ *
+ * Technologies utilisées :
+ * - Client de l'API partagé (cars-client.mjs) pour récupérer les statistiques
+ * - SVG généré en JavaScript pour les graphiques (aucune bibliothèque externe)
+ * - async/await pour gérer les requêtes asynchrones
+ * - Textes et formats (nombres, prix) en français ou en anglais (i18n.mjs)
+ */
+
+import { CarsClient } from './cars-client.mjs';
+import { registerServiceWorker } from './offline.mjs';
+import { lang, locale, t, formatMileage, translatePage, initLanguageSelect } from './i18n.mjs';
+
+// ========== CONFIGURATION ==========
+
+/**
+ * Client de l'API (même origine, cookie de session envoyé par le navigateur)
+ * Session expirée : retour à la page de connexion (voir auth.js)
+ * Messages de l'API dans la langue de l'interface
+ */
+const api = new CarsClient({ onUnauthorized: redirectToLogin, lang });
+
+/**
+ * Espace de noms des éléments SVG
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Couleurs des graphiques (palette Bootstrap)
+ */
+const CHART_COLOR = '#0d6efd';
+const CHART_MUTED_COLOR = '#6c757d';
+
+/**
+ * Utilisateur connecté (défini au chargement de la page, voir auth.js)
+ */
+let currentUser = null;
+
+// ========== SÉLECTEURS DOM ==========
+
+const alertContainer = document.getElementById('alert-container');
+const refreshBtn = document.getElementById('refresh-btn');
+const statCount = document.getElementById('stat-count');
+const statTotal = document.getElementById('stat-total');
+const statValued = document.getElementById('stat-valued');
+const statAverage = document.getElementById('stat-average');
+const brandsChart = document.getElementById('chart-brands');
+const decadesChart = document.getElementById('chart-decades');
+const priceChart = document.getElementById('chart-price');
+const mileageChart = document.getElementById('chart-mileage');
+const mostValuableList = document.getElementById('most-valuable');
+const leastValuableList = document.getElementById('least-valuable');
+
+// ========== FONCTIONS UTILITAIRES ==========
+
+/**
+ * Affiche une alerte Bootstrap sur la page
+ * @param {string} message - Message à afficher
+ * @param {string} type - Type d'alerte ('success', 'danger', 'warning', 'info')
+ */
+function showAlert(message, type = 'info') {
+  const alert = document.createElement('div');
+  alert.className = `alert alert-${type}`;
+  alert.setAttribute('role', 'alert');
+  alert.textContent = message;
+
+  alertContainer.replaceChildren();
+  alertContainer.appendChild(alert);
+}
+
+/**
+ * Formate un nombre avec séparateurs de milliers
+ * @param {number} value - Nombre à formater
+ * @returns {string}
+ */
+function formatNumber(value) {
+  if (value === null || value === undefined) return '-';
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value);
+}
+
+/**
+ * Formate un montant en euros
+ * @param {number} value - Montant
+ * @returns {string}
+ */
+function formatPrice(value) {
+  if (value === null || value === undefined) return '-';
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: 'EUR',
+    maximumFractionDigits: 0,
+  }).format(value);
+}
+
+/**
+ * Formate un nombre en notation courte pour les axes (ex : 1,2 M)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCompact(value) {
+  return new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+/**
+ * Crée un élément SVG avec ses attributs
+ * @param {string} tag - Nom de l'élément (rect, text, line...)
+ * @param {Object} attributes - Attributs à définir
+ * @param {string} [text] - Contenu texte (textContent, jamais interprété comme du HTML)
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Crée la racine d'un graphique SVG qui s'adapte à la largeur de la carte
+ * @param {number} width - Largeur du repère
+ * @param {number} height - Hauteur du repère
+ * @param {string} label - Description pour les lecteurs d'écran
+ * @returns {SVGSVGElement}
+ */
+function createChart(width, height, label) {
+  return createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    role: 'img',
+    'aria-label': label,
+  });
+}
+
+/**
+ * Affiche un message à la place d'un graphique sans données
+ * @param {HTMLElement} container - Conteneur du graphique
+ */
+function renderEmptyChart(container) {
+  const empty = document.createElement('p');
+  empty.className = 'text-muted mb-0';
+  empty.textContent = t('stats.no_data');
+  container.replaceChildren(empty);
+}
+
+// ========== REQUÊTES API ==========
+
+/**
+ * Récupère les statistiques de la collection
+ * @returns {Promise<Object>} Statistiques (voir GET /api/cars/stats)
+ */
+async function fetchStats() {
+  return api.getStats();
+}
+
+// ========== GRAPHIQUES ==========
+
+/**
+ * Diagramme en barres horizontales (une barre par élément, libellé à gauche, valeur à droite)
+ * @param {HTMLElement} container - Conteneur du graphique
+ * @param {Array<Object>} items - Données
+ * @param {Object} options
+ * @param {Function} options.label - Libellé d'un élément
+ * @param {Function} options.value - Valeur numérique d'un élément
+ * @param {Function} options.format - Affichage de la valeur
+ * @param {Function} [options.title] - Infobulle d'un élément
+ * @param {string} options.description - Description pour les lecteurs d'écran
+ */
+function renderBarChart(container, items, { label, value, format, title, description }) {
+  if (!items.length) {
+    renderEmptyChart(container);
+    return;
+  }
+
+  const width = 400;
+  const rowHeight = 26;
+  const labelWidth = 110;
+  const valueWidth = 80;
+  const barArea = width - labelWidth - valueWidth;
+  const max = Math.max(...items.map(value), 1);
+  const svg = createChart(width, items.length * rowHeight, description);
+
+  items.forEach((item, index) => {
+    const y = index * rowHeight;
+    const barWidth = Math.max((value(item) / max) * barArea, value(item) > 0 ? 2 : 0);
+    const group = createSvgElement('g');
+
+    group.appendChild(createSvgElement('title', {}, title ? title(item) : `${label(item)} : ${format(value(item))}`));
+    group.appendChild(createSvgElement('text', {
+      x: labelWidth - 8,
+      y: y + rowHeight / 2,
+      'text-anchor': 'end',
+      'dominant-baseline': 'middle',
+      'font-size': 12,
+    }, label(item)));
+    group.appendChild(createSvgElement('rect', {
+      x: labelWidth,
+      y: y + 4,
+      width: barWidth,
+      height: rowHeight - 8,
+      rx: 3,
+      fill: CHART_COLOR,
+    }));
+    group.appendChild(createSvgElement('text', {
+      x: labelWidth + barWidth + 6,
+      y: y + rowHeight / 2,
+      'dominant-baseline': 'middle',
+      'font-size': 11,
+      fill: CHART_MUTED_COLOR,
+    }, format(value(item))));
+
+    svg.appendChild(group);
+  });
+
+  container.replaceChildren(svg);
+}
+
+/**
+ * Histogramme vertical (une colonne par élément, libellé sous la colonne)
+ * @param {HTMLElement} container - Conteneur du graphique
+ * @param {Array<Object>} items - Données
+ * @param {Object} options
+ * @param {Function} options.label - Libellé d'un élément
+ * @param {Function} options.value - Valeur numérique d'un élément
+ * @param {Function} [options.title] - Infobulle d'un élément
+ * @param {string} options.description - Description pour les lecteurs d'écran
+ */
+function renderColumnChart(container, items, { label, value, title, description }) {
+  if (!items.length) {
+    renderEmptyChart(container);
+    return;
+  }
+
+  const width = 400;
+  const height = 220;
+  const top = 20;
+  const bottom = 24;
+  const plotHeight = height - top - bottom;
+  const slot = width / items.length;
+  const columnWidth = Math.min(slot * 0.7, 60);
+  const max = Math.max(...items.map(value), 1);
+  const svg = createChart(width, height, description);
+
+  // Axe horizontal
+  svg.appendChild(createSvgElement('line', {
+    x1: 0,
+    x2: width,
+    y1: top + plotHeight,
+    y2: top + plotHeight,
+    stroke: CHART_MUTED_COLOR,
+  }));
+
+  items.forEach((item, index) => {
+    const columnHeight = (value(item) / max) * plotHeight;
+    const x = index * slot + (slot - columnWidth) / 2;
+    const group = createSvgElement('g');
+
+    group.appendChild(createSvgElement('title', {}, title ? title(item) : `${label(item)} : ${value(item)}`));
+    group.appendChild(createSvgElement('rect', {
+      x,
+      y: top + plotHeight - columnHeight,
+      width: columnWidth,
+      height: columnHeight,
+      rx: 3,
+      fill: CHART_COLOR,
+    }));
+    group.appendChild(createSvgElement('text', {
+      x: x + columnWidth / 2,
+      y: top + plotHeight - columnHeight - 5,
+      'text-anchor': 'middle',
+      'font-size': 11,
+      fill: CHART_MUTED_COLOR,
+    }, String(value(item))));
+    group.appendChild(createSvgElement('text', {
+      x: x + columnWidth / 2,
+      y: height - 6,
+      'text-anchor': 'middle',
+      'font-size': 11,
+    }, label(item)));
+
+    svg.appendChild(group);
+  });
+
+  container.replaceChildren(svg);
+}
+
+/**
+ * Boîte à moustaches : minimum, premier quartile, médiane, troisième quartile, maximum
+ * @param {HTMLElement} container - Conteneur du graphique
+ * @param {Object|null} quartiles - { count, min, q1, median, q3, max }
+ * @param {Function} format - Affichage d'une valeur
+ * @param {string} description - Description pour les lecteurs d'écran
+ */
+function renderBoxPlot(container, quartiles, format, description) {
+  if (!quartiles) {
+    renderEmptyChart(container);
+    return;
+  }
+
+  const width = 400;
+  const height = 70;
+  const margin = 20;
+  const middle = 28;
+  const { min, q1, median, q3, max } = quartiles;
+  const scale = (value) => (max === min
+    ? width / 2
+    : margin + ((value - min) / (max - min)) * (width - margin * 2));
+
+  const svg = createChart(width, height, description);
+  svg.appendChild(createSvgElement('title', {}, t('stats.values', { description, count: quartiles.count })));
+
+  // Moustaches (min → q1 et q3 → max) et leurs extrémités
+  [[min, q1], [q3, max]].forEach(([from, to]) => {
+    svg.appendChild(createSvgElement('line', {
+      x1: scale(from), x2: scale(to), y1: middle, y2: middle, stroke: CHART_MUTED_COLOR,
+    }));
+  });
+  [min, max].forEach((value) => {
+    svg.appendChild(createSvgElement('line', {
+      x1: scale(value), x2: scale(value), y1: middle - 8, y2: middle + 8, stroke: CHART_MUTED_COLOR,
+    }));
+  });
+
+  // Boîte (q1 → q3) et médiane
+  svg.appendChild(createSvgElement('rect', {
+    x: scale(q1),
+    y: middle - 14,
+    width: Math.max(scale(q3) - scale(q1), 1),
+    height: 28,
+    fill: CHART_COLOR,
+    'fill-opacity': 0.25,
+    stroke: CHART_COLOR,
+  }));
+  svg.appendChild(createSvgElement('line', {
+    x1: scale(median), x2: scale(median), y1: middle - 14, y2: middle + 14, stroke: CHART_COLOR, 'stroke-width': 3,
+  }));
+
+  // Valeurs extrêmes sous l'axe
+  svg.appendChild(createSvgElement('text', {
+    x: scale(min), y: height - 6, 'text-anchor': 'start', 'font-size': 11, fill: CHART_MUTED_COLOR,
+  }, formatCompact(min)));
+  svg.appendChild(createSvgElement('text', {
+    x: scale(max), y: height - 6, 'text-anchor': 'end', 'font-size': 11, fill: CHART_MUTED_COLOR,
+  }, formatCompact(max)));
+
+  // Détail des quartiles sous le graphique
+  const details = document.createElement('dl');
+  details.className = 'row small mb-0 mt-2';
+  [
+    [t('stats.min'), min],
+    [t('stats.q1'), q1],
+    [t('stats.median'), median],
+    [t('stats.q3'), q3],
+    [t('stats.max'), max],
+  ].forEach(([name, value]) => {
+    const dt = document.createElement('dt');
+    dt.className = 'col-6 fw-normal text-muted';
+    dt.textContent = name;
+    const dd = document.createElement('dd');
+    dd.className = 'col-6 mb-0 text-end';
+    dd.textContent = format(value);
+    details.append(dt, dd);
+  });
+
+  container.replaceChildren(svg, details);
+}
+
+// ========== AFFICHAGE ==========
+
+/**
+ * Remplit un classement de voitures (lien vers la fiche et prix)
+ * @param {HTMLElement} list - Liste ordonnée
+ * @param {Array} cars - Voitures du classement
+ */
+function renderRanking(list, cars) {
+  list.replaceChildren();
+
+  if (!cars.length) {
+    const li = document.createElement('li');
+    li.className = 'list-group-item text-muted';
+    li.textContent = t('stats.no_price');
+    list.appendChild(li);
+    return;
+  }
+
+  cars.forEach((car) => {
+    const li = document.createElement('li');
+    li.className = 'list-group-item d-flex justify-content-between align-items-start';
+
+    const link = document.createElement('a');
+    link.href = `car.html?id=${car.id}`;
+    link.className = 'ms-2 me-auto text-decoration-none';
+    link.textContent = `${car.brand} ${car.model} (${car.year})`;
+
+    const price = document.createElement('span');
+    price.className = 'fw-semibold';
+    price.textContent = formatPrice(car.price);
+
+    li.append(link, price);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Affiche toutes les statistiques
+ * @param {Object} stats - Réponse de GET /api/cars/stats
+ */
+function renderStats(stats) {
+  statCount.textContent = formatNumber(stats.count);
+  statTotal.textContent = formatPrice(stats.total_value);
+  statValued.textContent = stats.valued < stats.count
+    ? t('stats.valued', { valued: stats.valued, count: stats.count })
+    : '';
+  statAverage.textContent = formatPrice(stats.average_value);
+
+  renderBarChart(brandsChart, stats.by_brand, {
+    label: (brand) => brand.brand,
+    value: (brand) => brand.total_value,
+    format: formatCompact,
+    title: (brand) => t('stats.brand_title', {
+      brand: brand.brand,
+      count: brand.count,
+      total: formatPrice(brand.total_value),
+      average: formatPrice(brand.average_value),
+    }),
+    description: t('stats.brand_description'),
+  });
+
+  renderColumnChart(decadesChart, stats.by_decade, {
+    label: (decade) => t('stats.decade_label', { decade: decade.decade }),
+    value: (decade) => decade.count,
+    title: (decade) => t('stats.decade_title', { decade: decade.decade, count: decade.count, total: formatPrice(decade.total_value) }),
+    description: t('stats.decade_description'),
+  });
+
+  renderBoxPlot(priceChart, stats.price, formatPrice, t('stats.price'));
+  renderBoxPlot(mileageChart, stats.mileage, formatMileage, t('stats.mileage'));
+
+  renderRanking(mostValuableList, stats.most_valuable);
+  renderRanking(leastValuableList, stats.least_valuable);
+}
+
+// ========== GESTION DES ÉVÉNEMENTS ==========
+
+/**
+ * Charge (ou recharge) les statistiques
+ */
+async function handleRefresh() {
+  try {
+    refreshBtn.disabled = true;
+    refreshBtn.textContent = t('common.loading');
+    renderStats(await fetchStats());
+  } catch (error) {
+    showAlert(t('stats.load_error', { message: error.message }), 'danger');
+  } finally {
+    refreshBtn.disabled = false;
+    refreshBtn.textContent = t('common.refresh');
+  }
+}
+
+// ========== INITIALISATION ==========
+
+/**
+ * Initialise la page lorsque le DOM est chargé
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  registerServiceWorker();
+  translatePage();
+  initLanguageSelect(document.getElementById('language-select'));
+
+  // Vérifier la session avant tout (redirection vers login.html sinon)
+  currentUser = await requireUser();
+  if (!currentUser) return;
+  translatePage(document.getElementById('user-menu'));
+
+  refreshBtn.addEventListener('click', handleRefresh);
+  handleRefresh();
+});
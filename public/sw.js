@@ -0,0 +1,197 @@
+/**
+ * ============================================
+ * SW.JS - Service worker (fonctionnement hors connexion)
+ * ============================================
+ *
+ * Stratégies de cache :
+ * - pages, scripts et styles : réseau d'abord (toujours à jour en ligne), cache hors ligne
+ * - Bootstrap (/vendor) et photos : cache d'abord (fichiers qui ne changent pas)
+ * - lectures de l'API : réseau d'abord ; hors ligne, dernière réponse connue.
+ *   Les listes GET /api/cars partagent une seule entrée : la dernière liste chargée.
+ *
+ * Les écritures (POST, PUT, DELETE...) ne sont pas interceptées :
+ * hors ligne, les pages les placent dans la file d'attente d'offline.mjs.
+ */
+
+// ========== CONFIGURATION ==========
+
+/**
+ * Version des caches : à incrémenter quand la liste des fichiers change
+ */
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+const MEDIA_CACHE = `media-${CACHE_VERSION}`;
+
+/**
+ * Fichiers de l'interface mis en cache dès l'installation
+ */
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/car.html',
+  '/stats.html',
+  '/login.html',
+  '/app.js',
+  '/car.js',
+  '/stats.js',
+  '/auth.js',
+  '/login.js',
+  '/cars-client.mjs',
+  '/offline.mjs',
+  '/dom.mjs',
+  '/i18n.mjs',
+  '/styles.css',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+
+/**
+ * Bootstrap, servi par l'application depuis le paquet npm (version figée dans package.json) :
+ * incrémenter CACHE_VERSION lors d'une mise à jour du paquet
+ */
+const VENDOR_FILES = [
+  '/vendor/bootstrap/css/bootstrap.min.css',
+  '/vendor/bootstrap/js/bootstrap.bundle.min.js',
+];
+
+/**
+ * Routes de l'API jamais mises en cache (flux continu, fichiers à télécharger)
+ */
+const UNCACHED_API_PATHS = ['/api/cars/events', '/api/cars/export'];
+
+// ========== STRATÉGIES ==========
+
+/**
+ * Réponse de l'API quand ni le réseau ni le cache ne répondent
+ * @returns {Response}
+ */
+function offlineApiResponse() {
+  // Même format que les erreurs de l'API (application/problem+json)
+  const body = {
+    type: 'urn:tp2:problem:offline',
+    title: 'Hors ligne',
+    status: 503,
+    detail: 'Pas de connexion et aucune donnée enregistrée pour cette page',
+    code: 'offline',
+  };
+  return new Response(JSON.stringify(body), {
+    status: 503,
+    headers: { 'Content-Type': 'application/problem+json; charset=utf-8' },
+  });
+}
+
+/**
+ * Réseau d'abord, puis cache si la requête échoue
+ * @param {Request} request - Requête interceptée
+ * @param {string} cacheName - Cache utilisé
+ * @param {Object} [options]
+ * @param {Request|string} [options.cacheKey] - Clé de cache (la requête par défaut)
+ * @param {boolean} [options.ignoreSearch=false] - Ignorer la query string pour retrouver la page
+ * @param {Function} [options.fallback] - Réponse si rien n'est en cache
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, { cacheKey = request, ignoreSearch = false, fallback } = {}) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(cacheKey, { ignoreSearch });
+    if (cached) return cached;
+    if (fallback) return fallback();
+    throw error;
+  }
+}
+
+/**
+ * Cache d'abord, réseau sinon (la réponse est alors mise en cache)
+ * @param {Request} request - Requête interceptée
+ * @param {string} cacheName - Cache utilisé
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Lecture de l'API : toutes les listes partagent l'entrée "dernière liste"
+ * @param {Request} request
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+function handleApiRequest(request, url) {
+  const cacheKey = url.pathname === '/api/cars' ? `${url.origin}/api/cars` : request;
+  return networkFirst(request, API_CACHE, { cacheKey, fallback: offlineApiResponse });
+}
+
+// ========== ÉVÉNEMENTS ==========
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll([...SHELL_FILES, ...VENDOR_FILES]))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const currentCaches = [SHELL_CACHE, API_CACHE, MEDIA_CACHE];
+
+  // Supprimer les caches des versions précédentes
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => !currentCaches.includes(name))
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  if (request.method !== 'GET') {
+    // Connexion ou déconnexion : les données en cache appartenaient à la session précédente
+    if (isSameOrigin && ['/api/auth/login', '/api/auth/logout'].includes(url.pathname)) {
+      event.waitUntil(caches.delete(API_CACHE));
+    }
+    return;
+  }
+
+  if (isSameOrigin && url.pathname.startsWith('/api/')) {
+    if (!UNCACHED_API_PATHS.includes(url.pathname)) {
+      event.respondWith(handleApiRequest(request, url));
+    }
+    return;
+  }
+
+  if (isSameOrigin && VENDOR_FILES.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (isSameOrigin && url.pathname.startsWith('/uploads/')) {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+    return;
+  }
+
+  if (isSameOrigin) {
+    // car.html?id=3 hors ligne : la page en cache sans query string convient
+    event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: request.mode === 'navigate' }));
+  }
+});
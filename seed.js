@@ -68,8 +68,8 @@ async function seedDatabase() {
     console.log('🗑  Table vidée');
 
     const insertQuery = `
-      INSERT INTO cars (brand, model, year, color, price, mileage, description)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO cars (brand, model, year, color, price, mileage, description, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
 
     let insertedCount = 0;
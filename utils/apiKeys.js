@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { run, get } = require('../database');
+
+// Portées disponibles. "admin" donne accès à toutes les routes.
+const SCOPES = ['cars:read', 'cars:write', 'admin'];
+
+/**
+ * Calcule l'empreinte stockée en base pour une clé
+ * @param {string} key - Clé en clair
+ * @returns {string} Empreinte SHA-256 en hexadécimal
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Génère une nouvelle clé aléatoire
+ * @returns {string} Clé en clair (préfixe "ck_" + 32 caractères)
+ */
+function generateApiKey() {
+  return `ck_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Indique si une clé possède la portée demandée
+ * @param {Array<string>} scopes - Portées de la clé
+ * @param {string} requiredScope - Portée exigée par la route
+ * @returns {boolean}
+ */
+function hasScope(scopes, requiredScope) {
+  return scopes.includes('admin') || scopes.includes(requiredScope);
+}
+
+/**
+ * Convertit une ligne de la table api_keys pour l'affichage (sans l'empreinte)
+ * @param {Object} row - Ligne de la table api_keys
+ * @returns {Object}
+ */
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    prefix: row.key_prefix,
+    scopes: row.scopes.split(' '),
+    expires_at: row.expires_at,
+    revoked_at: row.revoked_at,
+    last_used_at: row.last_used_at,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Enregistre une clé en base
+ * @param {Object} options
+ * @param {string} options.label - Libellé (ex : "Script d'inventaire")
+ * @param {Array<string>} options.scopes - Portées accordées
+ * @param {string|null} [options.expiresAt] - Date d'expiration (ISO 8601)
+ * @param {string} [options.key] - Clé imposée (générée aléatoirement sinon)
+ * @returns {Promise<{ key: string, apiKey: Object }>} La clé en clair n'est disponible qu'ici
+ */
+async function createApiKey({ label, scopes, expiresAt = null, key = generateApiKey() }) {
+  const query = `
+    INSERT INTO api_keys (label, key_hash, key_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, datetime(?))
+  `;
+
+  const { lastID } = await run(query, [label, hashApiKey(key), key.slice(0, 8), scopes.join(' '), expiresAt]);
+  const row = await get('SELECT * FROM api_keys WHERE id = ?', [lastID]);
+  return { key, apiKey: formatApiKey(row) };
+}
+
+module.exports = {
+  SCOPES,
+  hashApiKey,
+  generateApiKey,
+  hasScope,
+  formatApiKey,
+  createApiKey,
+};
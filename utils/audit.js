@@ -0,0 +1,87 @@
+const database = require('../database');
+const { carSchema } = require('./carSchema');
+const { logger, serializeError } = require('./logger');
+
+// Champs suivis dans l'historique (ceux du schéma de validation)
+const AUDITED_FIELDS = Object.keys(carSchema);
+
+/**
+ * Identifie l'auteur d'une requête authentifiée (clé API ou utilisateur)
+ * @param {Object} req - Requête Express (après checkApiKey)
+ * @returns {{ type: string, id: number, label: string }}
+ */
+function getActor(req) {
+  if (req.apiKey) {
+    return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.label };
+  }
+  return { type: 'user', id: req.user.id, label: req.user.email };
+}
+
+/**
+ * Calcule les différences champ par champ entre deux versions d'une voiture
+ * @param {Object|null} before - Voiture avant l'opération (null pour une création)
+ * @param {Object|null} after - Voiture après l'opération (null pour une suppression)
+ * @returns {Object} { champ: { before, after } } pour chaque champ modifié
+ */
+function diffCars(before, after) {
+  return AUDITED_FIELDS.reduce((changes, field) => {
+    const previous = before ? before[field] ?? null : null;
+    const next = after ? after[field] ?? null : null;
+    if (previous !== next) {
+      changes[field] = { before: previous, after: next };
+    }
+    return changes;
+  }, {});
+}
+
+/**
+ * Convertit une ligne de car_audit pour l'affichage
+ * @param {Object} row - Ligne de la table car_audit
+ * @returns {Object}
+ */
+function formatAuditEntry(row) {
+  return {
+    id: row.id,
+    car_id: row.car_id,
+    action: row.action,
+    actor: { type: row.actor_type, id: row.actor_id, label: row.actor_label },
+    changes: JSON.parse(row.changes),
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Enregistre une opération dans l'historique.
+ * Une erreur d'écriture est journalisée sans faire échouer la requête (la modification est déjà faite).
+ * @param {Object} req - Requête Express (auteur de l'opération)
+ * @param {Object} entry
+ * @param {number|string} entry.carId
+ * @param {string} entry.action - create, update, delete, restore ou purge
+ * @param {Object|null} entry.before
+ * @param {Object|null} entry.after
+ * @param {Object} [executor] - Exécute l'écriture ({ run }) : module database, ou transaction en cours
+ * @returns {Promise<void>} Résolue une fois l'entrée écrite (jamais rejetée)
+ */
+async function recordAudit(req, { carId, action, before, after }, executor = database) {
+  const actor = getActor(req);
+  const query = `
+    INSERT INTO car_audit (car_id, action, actor_type, actor_id, actor_label, changes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+
+  try {
+    await executor.run(
+      query,
+      [carId, action, actor.type, actor.id, actor.label, JSON.stringify(diffCars(before, after))],
+    );
+  } catch (err) {
+    logger.error('Erreur lors de l\'écriture de l\'historique', { request_id: req.id, car_id: carId, error: serializeError(err) });
+  }
+}
+
+module.exports = {
+  getActor,
+  diffCars,
+  formatAuditEntry,
+  recordAudit,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// scrypt asynchrone : le calcul (volontairement coûteux) ne bloque pas les autres requêtes
+const scrypt = promisify(crypto.scrypt);
+
+// Rôles des utilisateurs et portées équivalentes à celles des clés API
+const ROLES = ['viewer', 'editor', 'admin'];
+const ROLE_SCOPES = {
+  viewer: ['cars:read'],
+  editor: ['cars:read', 'cars:write'],
+  admin: ['admin'],
+};
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60; // 12 heures
+
+// Secret de signature des sessions. Sans SESSION_SECRET, un secret aléatoire est généré :
+// les sessions sont alors invalidées à chaque redémarrage du serveur.
+const SESSION_SECRET_IS_EPHEMERAL = !process.env.SESSION_SECRET;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hache un mot de passe avec scrypt et un sel aléatoire
+ * @param {string} password - Mot de passe en clair
+ * @returns {Promise<string>} "scrypt$<sel>$<empreinte>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Compare un mot de passe à une empreinte (comparaison à temps constant)
+ * @param {string} password - Mot de passe en clair
+ * @param {string} stored - Empreinte produite par hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [algorithm, salt, hash] = String(stored).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Empreinte factice (au format de hashPassword, sans mot de passe correspondant connu) :
+// permet de répondre en temps constant quand l'email est inconnu
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(16).toString('hex')}$${crypto.randomBytes(64).toString('hex')}`;
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Crée un jeton de session signé (HMAC-SHA256)
+ * @param {Object} user - Utilisateur connecté
+ * @returns {string} "<données en base64url>.<signature>"
+ */
+function createSessionToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS,
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Vérifie la signature et l'expiration d'un jeton de session
+ * @param {string} token
+ * @returns {Object|null} Contenu du jeton ({ sub, exp }) ou null s'il est invalide
+ */
+function verifySessionToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data.exp > Date.now() / 1000 ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lit le jeton de session : cookie "session" ou header "Authorization: Bearer <jeton>"
+ * @param {Object} req - Requête Express
+ * @returns {string|null}
+ */
+function readSessionToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  const prefix = `${SESSION_COOKIE}=`;
+  const cookie = cookies.map((part) => part.trim()).find((part) => part.startsWith(prefix));
+  return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+}
+
+/**
+ * Options du cookie de session
+ * @param {Object} req - Requête Express (Secure uniquement en HTTPS)
+ * @returns {Object}
+ */
+function sessionCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_SCOPES,
+  SESSION_COOKIE,
+  SESSION_TTL_SECONDS,
+  SESSION_SECRET_IS_EPHEMERAL,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  readSessionToken,
+  sessionCookieOptions,
+};
@@ -0,0 +1,76 @@
+// Diffusion des modifications de voitures aux navigateurs connectés (GET /api/cars/events)
+const { EventEmitter } = require('events');
+const { carEtag } = require('./etag');
+
+// Événements conservés pour la reprise après coupure (header Last-Event-ID)
+const HISTORY_SIZE = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // Un écouteur par onglet ouvert
+
+const history = [];
+let lastEventId = 0;
+
+/**
+ * Publie un événement à tous les abonnés
+ * @param {Object} req - Requête à l'origine de la modification (header X-Client-Id de l'onglet)
+ * @param {string} type - car.created, car.updated ou car.deleted
+ * @param {Object} car - Voiture concernée (seul l'ID est utile pour car.deleted)
+ */
+function publishCarEvent(req, type, car) {
+  lastEventId += 1;
+
+  const event = {
+    id: lastEventId,
+    type,
+    data: {
+      id: Number(car.id),
+      car: type === 'car.deleted' ? null : car,
+      etag: type === 'car.deleted' ? null : carEtag(car),
+      client_id: req.get('X-Client-Id') || null,
+    },
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  emitter.emit('event', event);
+}
+
+/**
+ * Événements publiés après un ID donné
+ * @param {number} afterId - Dernier ID reçu par le client
+ * @returns {{ events: Array<Object>, complete: boolean }} complete vaut false si des événements
+ *   ont été perdus (trop anciens ou serveur redémarré) : le client doit tout recharger
+ */
+function carEventsSince(afterId) {
+  const oldestId = history.length ? history[0].id : lastEventId + 1;
+  const complete = afterId <= lastEventId && afterId >= oldestId - 1;
+
+  return {
+    events: complete ? history.filter((event) => event.id > afterId) : [],
+    complete,
+  };
+}
+
+/**
+ * Abonne une fonction aux événements publiés
+ * @param {Function} listener - Appelée avec chaque événement
+ * @returns {Function} Désabonnement
+ */
+function subscribeToCarEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// ID du dernier événement publié
+function getLastCarEventId() {
+  return lastEventId;
+}
+
+module.exports = {
+  publishCarEvent,
+  carEventsSince,
+  subscribeToCarEvents,
+  getLastCarEventId,
+};
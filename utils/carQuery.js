@@ -0,0 +1,234 @@
+// Construction des requêtes de liste (filtres, tri, pagination) pour la table cars
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+// Colonnes autorisées pour le tri (liste blanche)
+const SORTABLE_COLUMNS = ['id', 'brand', 'model', 'year', 'color', 'price', 'mileage', 'created_at', 'deleted_at'];
+
+const DEFAULT_SORT = 'year:desc';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Filtres numériques : paramètre de requête => condition SQL
+const NUMERIC_FILTERS = {
+  yearMin: 'year >= ?',
+  yearMax: 'year <= ?',
+  priceMin: 'price >= ?',
+  priceMax: 'price <= ?',
+  mileageMax: 'mileage <= ?',
+};
+
+// Filtres texte (comparaison insensible à la casse)
+const TEXT_FILTERS = {
+  brand: 'brand = ? COLLATE NOCASE',
+  color: 'color = ? COLLATE NOCASE',
+};
+
+/**
+ * Construit la clause WHERE à partir des paramètres de requête
+ * @param {Object} query - req.query
+ * @param {boolean} [deleted=false] - true pour lister la corbeille (voitures supprimées)
+ * @param {string} [lang='fr'] - Langue des messages d'erreur
+ * @returns {{ where: string, params: Array, errors: Array<string> }}
+ */
+function buildFilters(query, deleted = false, lang = DEFAULT_LANGUAGE) {
+  const conditions = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const params = [];
+  const errors = [];
+
+  Object.entries(TEXT_FILTERS).forEach(([key, condition]) => {
+    if (query[key] !== undefined && query[key] !== '') {
+      conditions.push(condition);
+      params.push(String(query[key]));
+    }
+  });
+
+  // Recherche plein texte (marque, modèle, description) combinable avec les autres filtres
+  if (query.q !== undefined && query.q !== '') {
+    const match = buildFtsMatch(query.q);
+    if (match) {
+      conditions.push('id IN (SELECT rowid FROM cars_fts WHERE cars_fts MATCH ?)');
+      params.push(match);
+    }
+  }
+
+  Object.entries(NUMERIC_FILTERS).forEach(([key, condition]) => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    const value = Number(query[key]);
+    if (Number.isNaN(value)) {
+      errors.push(translate(lang, 'query.not_a_number', { key }));
+      return;
+    }
+    conditions.push(condition);
+    params.push(value);
+  });
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params,
+    errors,
+  };
+}
+
+/**
+ * Construit la clause ORDER BY à partir du paramètre sort (ex: "price:asc,year:desc")
+ * @param {string} [sort]
+ * @param {string} [lang='fr'] - Langue des messages d'erreur
+ * @returns {{ orderBy: string, sort: Array<{ column: string, direction: string }>, errors: Array<string> }}
+ */
+function buildSort(sort = DEFAULT_SORT, lang = DEFAULT_LANGUAGE) {
+  const errors = [];
+  const parts = [];
+
+  String(sort)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const [column, direction = 'asc'] = part.split(':');
+      const dir = direction.toLowerCase();
+
+      if (!SORTABLE_COLUMNS.includes(column)) {
+        errors.push(translate(lang, 'query.invalid_sort_column', { column, columns: SORTABLE_COLUMNS.join(', ') }));
+        return;
+      }
+      if (dir !== 'asc' && dir !== 'desc') {
+        errors.push(translate(lang, 'query.invalid_sort_direction', { direction }));
+        return;
+      }
+      parts.push({ column, direction: dir.toUpperCase() });
+    });
+
+  // Tri secondaire sur l'id pour une pagination stable
+  if (!parts.some((part) => part.column === 'id')) {
+    parts.push({ column: 'id', direction: 'ASC' });
+  }
+
+  return {
+    orderBy: `ORDER BY ${parts.map(({ column, direction }) => `${column} ${direction}`).join(', ')}`,
+    sort: parts,
+    errors,
+  };
+}
+
+/**
+ * Condition des lignes qui suivent une ligne donnée dans l'ordre du tri (pagination par clé) :
+ * contrairement à OFFSET, une écriture concurrente ne décale pas les pages suivantes.
+ * SQLite range les NULL en premier en ordre croissant et en dernier en ordre décroissant.
+ * @param {Array<{ column: string, direction: string }>} sort - Tri de buildSort (contient l'id)
+ * @param {Object} row - Dernière ligne lue (doit contenir les colonnes du tri)
+ * @returns {{ condition: string, params: Array }}
+ */
+function buildKeysetCondition(sort, row) {
+  const alternatives = [];
+  const params = [];
+
+  // Ligne suivante : mêmes valeurs sur les premières colonnes du tri, puis une valeur placée après
+  sort.forEach(({ column, direction }, index) => {
+    const value = row[column] ?? null;
+    let after;
+    if (direction === 'ASC') {
+      after = value === null ? `${column} IS NOT NULL` : `${column} > ?`;
+    } else if (value !== null) {
+      after = `(${column} < ? OR ${column} IS NULL)`;
+    } else {
+      return; // Rien ne suit NULL en ordre décroissant
+    }
+
+    const previous = sort.slice(0, index);
+    alternatives.push(`(${[...previous.map((part) => `${part.column} IS ?`), after].join(' AND ')})`);
+    params.push(...previous.map((part) => row[part.column] ?? null));
+    if (value !== null) params.push(value);
+  });
+
+  return { condition: alternatives.length ? `(${alternatives.join(' OR ')})` : '0', params };
+}
+
+/**
+ * Lit les paramètres page et limit
+ * @param {Object} query - req.query
+ * @param {string} [lang='fr'] - Langue des messages d'erreur
+ * @returns {{ page: number, limit: number, offset: number, errors: Array<string> }}
+ */
+function buildPagination(query, lang = DEFAULT_LANGUAGE) {
+  const errors = [];
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push(translate(lang, 'query.invalid_page'));
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(translate(lang, 'query.invalid_limit', { max: MAX_LIMIT }));
+  }
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    errors,
+  };
+}
+
+/**
+ * Analyse l'ensemble des paramètres de la liste des voitures
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted=false] - true pour la corbeille
+ * @param {string} [options.defaultSort] - Tri appliqué sans paramètre sort
+ * @param {boolean} [options.paginate=true] - false pour ignorer page et limit (export complet)
+ * @param {string} [options.lang='fr'] - Langue des messages d'erreur (req.lang)
+ * @returns {Object} Clauses SQL, paramètres, pagination et erreurs éventuelles
+ */
+function parseCarListQuery(query = {}, {
+  deleted = false,
+  defaultSort = DEFAULT_SORT,
+  paginate = true,
+  lang = DEFAULT_LANGUAGE,
+} = {}) {
+  const filters = buildFilters(query, deleted, lang);
+  const sort = buildSort(query.sort || defaultSort, lang);
+  const pagination = paginate ? buildPagination(query, lang) : { errors: [] };
+
+  return {
+    where: filters.where,
+    params: filters.params,
+    orderBy: sort.orderBy,
+    sort: sort.sort,
+    page: pagination.page,
+    limit: pagination.limit,
+    offset: pagination.offset,
+    errors: [...filters.errors, ...sort.errors, ...pagination.errors],
+  };
+}
+
+/**
+ * Transforme une saisie libre en expression MATCH FTS5.
+ * Chaque mot est mis entre guillemets (la syntaxe FTS5 de l'utilisateur n'est pas interprétée),
+ * un "*" final active la recherche par préfixe : "Porsch*" => "Porsch"*
+ * @param {string} [q] - Texte recherché
+ * @returns {string|null} Expression MATCH ou null si aucun terme exploitable
+ */
+function buildFtsMatch(q = '') {
+  const terms = String(q)
+    .split(/\s+/)
+    .map((word) => {
+      const isPrefix = word.endsWith('*');
+      const term = word.replace(/["*]/g, '');
+      if (!term) return null;
+      return `"${term}"${isPrefix ? '*' : ''}`;
+    })
+    .filter(Boolean);
+
+  return terms.length ? terms.join(' ') : null;
+}
+
+module.exports = {
+  SORTABLE_COLUMNS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildPagination,
+  buildKeysetCondition,
+  parseCarListQuery,
+  buildFtsMatch,
+};
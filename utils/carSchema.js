@@ -0,0 +1,24 @@
+// Schéma d'une voiture, utilisé pour valider les créations et les mises à jour
+
+// Première automobile (Benz Patent-Motorwagen)
+const MIN_YEAR = 1885;
+
+const carSchema = {
+  brand: { type: 'string', required: true, maxLength: 100 },
+  model: { type: 'string', required: true, maxLength: 100 },
+  year: {
+    type: 'integer',
+    required: true,
+    min: MIN_YEAR,
+    max: () => new Date().getFullYear(),
+  },
+  color: { type: 'string', maxLength: 50 },
+  price: { type: 'number', min: 0 },
+  mileage: { type: 'integer', min: 0 },
+  description: { type: 'string', maxLength: 2000 },
+};
+
+module.exports = {
+  MIN_YEAR,
+  carSchema,
+};
@@ -0,0 +1,127 @@
+// Lecture et écriture de fichiers CSV (RFC 4180) : champs entre guillemets, guillemets doublés, retours à la ligne
+
+/**
+ * Devine le séparateur à partir de la ligne d'en-tête (Excel en français utilise ";")
+ * @param {string} text - Contenu du fichier
+ * @returns {string} "," ou ";"
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  const commas = (firstLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Découpe un texte CSV en lignes de cellules
+ * @param {string} text - Contenu du fichier
+ * @param {string} [delimiter] - Séparateur (détecté automatiquement sinon)
+ * @returns {Array<{ line: number, cells: Array<string> }>} Lignes non vides avec leur numéro dans le fichier
+ */
+function parseCsvRows(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const pushRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  // Ignore l'éventuel BOM UTF-8 ajouté par Excel
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      pushRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length) {
+    pushRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Lit un CSV avec ligne d'en-tête et renvoie un objet par ligne
+ * @param {string} text - Contenu du fichier
+ * @returns {Array<{ line: number, record: Object }>} Enregistrements (clés = en-têtes en minuscules)
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.cells.map((name) => name.trim().toLowerCase());
+
+  return rows.map(({ line, cells }) => ({
+    line,
+    record: Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])),
+  }));
+}
+
+// Début de texte interprété comme une formule par les tableurs (Excel, LibreOffice...)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Échappe une valeur pour une cellule CSV (guillemets si séparateur, guillemet ou retour à la ligne).
+ * Un texte qui commence par = + - @ (ou une tabulation) est préfixé par une apostrophe :
+ * le tableur l'affiche comme du texte au lieu d'exécuter une formule.
+ * @param {*} value - Valeur de la cellule (null/undefined => cellule vide)
+ * @param {string} [delimiter=","] - Séparateur
+ * @returns {string}
+ */
+function formatCsvCell(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Construit une ligne CSV terminée par CRLF (RFC 4180)
+ * @param {Array} values - Valeurs des cellules
+ * @param {string} [delimiter=","] - Séparateur
+ * @returns {string}
+ */
+function formatCsvRow(values, delimiter = ',') {
+  return `${values.map((value) => formatCsvCell(value, delimiter)).join(delimiter)}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
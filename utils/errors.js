@@ -0,0 +1,101 @@
+// Erreurs de l'application : levées par les contrôleurs et les middlewares (throw, ou next(err)
+// dans un callback), puis converties en réponse application/problem+json par middleware/errorHandler.js
+
+/**
+ * Erreur connue de l'API, renvoyée telle quelle au client
+ * @param {number} status - Statut HTTP
+ * @param {string} code - Code stable (titre traduit dans errors.<code>, voir locales/)
+ * @param {Object} [options]
+ * @param {string} [options.messageKey] - Clé du message détaillé (ex : "messages.car_not_found")
+ * @param {Object} [options.params] - Paramètres du message
+ * @param {string} [options.detail] - Message détaillé déjà rédigé (à la place de messageKey)
+ * @param {Object} [options.extensions] - Membres ajoutés au corps de la réponse (errors, data...)
+ * @param {Object} [options.headers] - Headers de la réponse (ETag, Retry-After...)
+ */
+class AppError extends Error {
+  constructor(status, code, {
+    messageKey,
+    params = {},
+    detail,
+    extensions = {},
+    headers = {},
+  } = {}) {
+    super(detail || messageKey || code);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+    this.detail = detail;
+    this.extensions = extensions;
+    this.headers = headers;
+  }
+}
+
+// 400 : champs invalides, listés dans "errors" ([{ field, code, message }])
+class ValidationError extends AppError {
+  constructor(errors = [], options = {}) {
+    super(400, 'validation_failed', {
+      messageKey: 'messages.validation_failed',
+      ...options,
+      extensions: { errors },
+    });
+  }
+}
+
+// 400 : paramètres de la query string (ou headers) invalides
+class InvalidParametersError extends AppError {
+  constructor(options) {
+    super(400, 'invalid_parameters', options);
+  }
+}
+
+// 401 : authentification absente ou invalide
+class UnauthorizedError extends AppError {
+  constructor(options) {
+    super(401, 'unauthorized', options);
+  }
+}
+
+// 403 : clé ou rôle sans la portée demandée
+class ForbiddenError extends AppError {
+  constructor(options) {
+    super(403, 'access_denied', options);
+  }
+}
+
+// 404 : ressource inconnue (code propre à la ressource : car_not_found, photo_not_found...)
+class NotFoundError extends AppError {
+  constructor(code, options) {
+    super(404, code, options);
+  }
+}
+
+// 412 : la voiture a changé depuis sa lecture ; la version actuelle est renvoyée dans "data"
+class PreconditionFailedError extends AppError {
+  constructor(current, etag) {
+    super(412, 'version_conflict', {
+      messageKey: 'messages.version_conflict',
+      extensions: { data: current || null },
+      headers: etag ? { ETag: etag } : {},
+    });
+  }
+}
+
+// 429 : budget du limiteur de débit épuisé
+class RateLimitError extends AppError {
+  constructor(options) {
+    super(429, 'rate_limited', options);
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  InvalidParametersError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionFailedError,
+  RateLimitError,
+};
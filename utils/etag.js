@@ -0,0 +1,32 @@
+// ETags des voitures (concurrence optimiste) : "<id>-<version>", la version augmente à chaque modification
+
+/**
+ * ETag fort d'une voiture
+ * @param {{ id: number, version: number }} car
+ * @returns {string} Ex : "12-3"
+ */
+function carEtag(car) {
+  return `"${car.id}-${car.version}"`;
+}
+
+/**
+ * Vérifie l'en-tête If-Match d'une requête d'écriture
+ * - absent : pas de condition (clients qui ne gèrent pas les ETags)
+ * - "*" : la voiture doit simplement exister
+ * - liste d'ETags : comparaison forte, les ETags faibles (W/"...") ne correspondent jamais
+ * @param {Object} req - Requête Express
+ * @param {Object} car - Voiture actuellement en base
+ * @returns {boolean} true si l'écriture peut avoir lieu
+ */
+function ifMatchSatisfied(req, car) {
+  const header = req.get('If-Match');
+  if (!header) return true;
+
+  const etags = header.split(',').map((etag) => etag.trim());
+  return etags.includes('*') || etags.includes(carEtag(car));
+}
+
+module.exports = {
+  carEtag,
+  ifMatchSatisfied,
+};
@@ -0,0 +1,68 @@
+// Traduction des messages de l'API (catalogues dans locales/<langue>.json)
+
+const CATALOGS = {
+  fr: require('../locales/fr.json'),
+  en: require('../locales/en.json'),
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'fr';
+
+// Cherche une clé pointée ("auth.invalid_key") dans un catalogue
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Traduit un message. Les {paramètres} sont remplacés par leur valeur.
+ * Une clé absente de la langue demandée est cherchée en français, puis renvoyée telle quelle.
+ * @param {string} lang - Langue (fr, en)
+ * @param {string} key - Clé du message (ex : "errors.car_not_found")
+ * @param {Object} [params] - Valeurs des paramètres
+ * @returns {string}
+ */
+function translate(lang, key, params = {}) {
+  const template = lookup(CATALOGS[lang], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Langues d'un header Accept-Language, par préférence décroissante ("en-US,en;q=0.9" => ['en', 'en'])
+ * @param {string} [header]
+ * @returns {Array<string>} Sous-étiquettes principales, en minuscules
+ */
+function parseAcceptLanguage(header = '') {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const quality = options
+        .map((option) => option.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return { lang: tag.split('-')[0].toLowerCase(), q: quality ? Number(quality[1]) : 1, index };
+    })
+    .filter(({ lang, q }) => lang && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ lang }) => lang);
+}
+
+/**
+ * Langue de la réponse : paramètre ?lang=, sinon header Accept-Language, sinon français
+ * @param {Object} req - Requête Express
+ * @returns {string}
+ */
+function negotiateLanguage(req) {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+
+  return parseAcceptLanguage(req.get('Accept-Language'))
+    .find((lang) => SUPPORTED_LANGUAGES.includes(lang)) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  translate,
+  parseAcceptLanguage,
+  negotiateLanguage,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Niveaux de journalisation, du plus bavard au plus important
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Destination fichier avec rotation par taille : app.log devient app.log.1, app.log.1 devient app.log.2...
+ * Les écritures sont synchrones : une ligne n'est jamais perdue ni coupée par une rotation.
+ * @param {string} file - Chemin du fichier
+ * @param {Object} options
+ * @param {number} options.maxSize - Taille (octets) au-delà de laquelle le fichier est archivé
+ * @param {number} options.maxFiles - Nombre d'archives conservées
+ * @returns {{ write: Function }}
+ */
+function createFileDestination(file, { maxSize, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let fd = fs.openSync(file, 'a');
+  let size = fs.fstatSync(fd).size;
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      if (fs.existsSync(`${file}.${index}`)) fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.unlinkSync(file);
+    fd = fs.openSync(file, 'a');
+    size = 0;
+  };
+
+  return {
+    write(line) {
+      const length = Buffer.byteLength(line);
+      if (size > 0 && size + length > maxSize) rotate();
+      fs.writeSync(fd, line);
+      size += length;
+    },
+  };
+}
+
+/**
+ * Journal au format JSON Lines : une ligne { time, level, msg, ...champs } par événement
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] - Niveau minimal écrit (debug, info, warn, error)
+ * @param {string} [options.file] - Fichier de destination (sortie standard si absent)
+ * @param {number} [options.maxSize=10485760] - Taille maximale du fichier avant rotation (octets)
+ * @param {number} [options.maxFiles=5] - Nombre de fichiers archivés conservés
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function createLogger({
+  level = 'info',
+  file,
+  maxSize = 10 * 1024 * 1024,
+  maxFiles = 5,
+} = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Niveau de journalisation inconnu : ${level} (${LEVELS.join(', ')})`);
+  }
+  if (!(maxSize > 0) || !Number.isInteger(maxFiles) || maxFiles < 0) {
+    throw new Error('Rotation des journaux invalide : LOG_MAX_SIZE > 0 et LOG_MAX_FILES entier positif ou nul');
+  }
+
+  const destination = file
+    ? createFileDestination(file, { maxSize, maxFiles })
+    : { write: (line) => process.stdout.write(line) };
+  const minimum = LEVELS.indexOf(level);
+
+  const log = (entryLevel) => (msg, fields = {}) => {
+    if (LEVELS.indexOf(entryLevel) < minimum) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    destination.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return Object.fromEntries(LEVELS.map((entryLevel) => [entryLevel, log(entryLevel)]));
+}
+
+/**
+ * Erreur sous une forme sérialisable en JSON (les propriétés d'Error ne le sont pas)
+ * @param {Error} err
+ * @returns {{ name: string, message: string, code?: string, stack?: string }}
+ */
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    stack: err.stack,
+  };
+}
+
+// Variable d'environnement numérique (undefined si absente : valeur par défaut de createLogger)
+const envNumber = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
+
+// Journal de l'application, configuré par les variables d'environnement
+// LOG_LEVEL, LOG_FILE, LOG_MAX_SIZE et LOG_MAX_FILES (voir README)
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  file: process.env.LOG_FILE || undefined,
+  maxSize: envNumber('LOG_MAX_SIZE'),
+  maxFiles: envNumber('LOG_MAX_FILES'),
+});
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  serializeError,
+  logger,
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dossier des migrations : fichiers "<numéro>_<nom>.js" exportant { up, down } (SQL)
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+
+// Table de suivi des migrations appliquées
+const createMigrationsTableQuery = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Versions "promesse" des méthodes sqlite3 utilisées par le migrateur
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Liste les migrations disponibles, triées par version
+ * @returns {Array<{ version: string, name: string, up: string, down: string }>}
+ */
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version, name, up, down };
+    });
+}
+
+/**
+ * Exécute une étape dans une transaction : tout est annulé si une instruction échoue
+ * @param {Object} db - Connexion sqlite3
+ * @param {string} sql - Script de la migration
+ * @param {Function} record - Enregistrement (ou suppression) dans schema_migrations
+ */
+async function runInTransaction(db, sql, record) {
+  await exec(db, 'BEGIN TRANSACTION');
+  try {
+    await exec(db, sql);
+    await record();
+    await exec(db, 'COMMIT');
+  } catch (error) {
+    await exec(db, 'ROLLBACK');
+    throw error;
+  }
+}
+
+async function getAppliedVersions(db) {
+  await exec(db, createMigrationsTableQuery);
+  const rows = await all(db, 'SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map((row) => row.version);
+}
+
+/**
+ * Applique toutes les migrations en attente, dans l'ordre
+ * @param {Object} db - Connexion sqlite3
+ * @returns {Promise<Array<string>>} Migrations appliquées ("001_create_cars", ...)
+ */
+async function migrateUp(db) {
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter((migration) => !applied.includes(migration.version));
+  const done = [];
+
+  // Séquentiel : chaque migration dépend des précédentes
+  for (const migration of pending) {
+    await runInTransaction(db, migration.up, () => run(
+      db,
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name],
+    ));
+    done.push(`${migration.version}_${migration.name}`);
+  }
+
+  return done;
+}
+
+/**
+ * Annule les dernières migrations appliquées
+ * @param {Object} db - Connexion sqlite3
+ * @param {number} [steps=1] - Nombre de migrations à annuler
+ * @returns {Promise<Array<string>>} Migrations annulées
+ */
+async function migrateDown(db, steps = 1) {
+  const applied = await getAppliedVersions(db);
+  const migrations = loadMigrations();
+  const toRevert = applied.slice(-steps).reverse();
+  const done = [];
+
+  for (const version of toRevert) {
+    const migration = migrations.find((candidate) => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} appliquée mais introuvable dans ${MIGRATIONS_DIR}`);
+    }
+
+    await runInTransaction(db, migration.down, () => run(
+      db,
+      'DELETE FROM schema_migrations WHERE version = ?',
+      [version],
+    ));
+    done.push(`${migration.version}_${migration.name}`);
+  }
+
+  return done;
+}
+
+/**
+ * État de chaque migration
+ * @param {Object} db - Connexion sqlite3
+ * @returns {Promise<Array<{ version: string, name: string, appliedAt: string|null }>>}
+ */
+async function migrationStatus(db) {
+  await exec(db, createMigrationsTableQuery);
+  const rows = await all(db, 'SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = Object.fromEntries(rows.map((row) => [row.version, row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: appliedAt[version] || null,
+  }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
@@ -0,0 +1,685 @@
+// Spécification OpenAPI 3 de l'API, publiée sur /openapi.json et affichée sur /docs
+const { version } = require('../package.json');
+const { carSchema } = require('./carSchema');
+const { SCOPES } = require('./apiKeys');
+const { ROLES } = require('./auth');
+const { SORTABLE_COLUMNS, MAX_LIMIT } = require('./carQuery');
+const { MAX_PHOTO_SIZE, MAX_PHOTOS_PER_UPLOAD, PHOTO_TYPES } = require('./photos');
+const { SUPPORTED_LANGUAGES } = require('./i18n');
+
+// Schéma JSON d'une voiture déduit des règles de validation (utils/carSchema.js)
+function carInputSchema() {
+  const properties = {};
+  Object.entries(carSchema).forEach(([field, rule]) => {
+    const property = { type: rule.type };
+    if (rule.maxLength !== undefined) property.maxLength = rule.maxLength;
+    if (rule.min !== undefined) property.minimum = rule.min;
+    if (field === 'year') property.description = 'Année (au plus l\'année en cours)';
+    properties[field] = property;
+  });
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(carSchema).filter((field) => carSchema[field].required),
+  };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+// Réponse { success, message, data } commune aux routes de l'API
+function success(description, data, extra = {}) {
+  return {
+    description,
+    content: json({
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        ...extra,
+        ...(data ? { data } : {}),
+      },
+    }),
+  };
+}
+
+// Réponses d'erreur (application/problem+json, RFC 7807) référencées par statut
+const errorResponse = (status) => ({ $ref: `#/components/responses/Error${status}` });
+const errors = (...statuses) => Object.fromEntries(statuses.map((status) => [status, errorResponse(status)]));
+
+const ETAG_HEADER = {
+  ETag: { description: 'Version de la voiture ("id-version"), à renvoyer dans If-Match', schema: { type: 'string' } },
+};
+
+const parameters = {
+  CarId: { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, description: 'ID de la voiture' },
+  PhotoId: { name: 'photoId', in: 'path', required: true, schema: { type: 'integer' }, description: 'ID de la photo' },
+  IfMatch: {
+    name: 'If-Match',
+    in: 'header',
+    schema: { type: 'string' },
+    description: 'ETag lu (ou *) : 412 si la voiture a changé depuis',
+  },
+  IfNoneMatch: {
+    name: 'If-None-Match',
+    in: 'header',
+    schema: { type: 'string' },
+    description: 'ETag connu : 304 si rien n\'a changé',
+  },
+  Page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 20 } },
+  Sort: {
+    name: 'sort',
+    in: 'query',
+    schema: { type: 'string', example: 'price:desc,year:asc' },
+    description: `Colonnes séparées par des virgules, suffixe :asc ou :desc (${SORTABLE_COLUMNS.join(', ')})`,
+  },
+  Q: { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Recherche plein texte (marque, modèle, description)' },
+  Brand: { name: 'brand', in: 'query', schema: { type: 'string' }, description: 'Marque exacte (insensible à la casse)' },
+  Color: { name: 'color', in: 'query', schema: { type: 'string' }, description: 'Couleur exacte (insensible à la casse)' },
+  YearMin: { name: 'yearMin', in: 'query', schema: { type: 'integer' } },
+  YearMax: { name: 'yearMax', in: 'query', schema: { type: 'integer' } },
+  PriceMin: { name: 'priceMin', in: 'query', schema: { type: 'number' } },
+  PriceMax: { name: 'priceMax', in: 'query', schema: { type: 'number' } },
+  MileageMax: { name: 'mileageMax', in: 'query', schema: { type: 'integer' } },
+};
+
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const FILTER_PARAMETERS = ['Q', 'Brand', 'Color', 'YearMin', 'YearMax', 'PriceMin', 'PriceMax', 'MileageMax'].map(paramRef);
+const LIST_PARAMETERS = [...FILTER_PARAMETERS, paramRef('Sort'), paramRef('Page'), paramRef('Limit')];
+
+const PAGINATION_PROPERTIES = {
+  count: { type: 'integer', description: 'Éléments de cette page' },
+  total: { type: 'integer', description: 'Éléments correspondant aux filtres' },
+  page: { type: 'integer' },
+  limit: { type: 'integer' },
+  pages: { type: 'integer' },
+  next: { type: 'string', nullable: true, description: 'URL de la page suivante' },
+};
+
+const schemas = {
+  CarInput: carInputSchema(),
+  Car: {
+    allOf: [
+      { type: 'object', properties: { id: { type: 'integer' } } },
+      ref('CarInput'),
+      {
+        type: 'object',
+        properties: {
+          version: { type: 'integer', description: 'Incrémentée à chaque modification' },
+          created_at: { type: 'string', format: 'date-time' },
+          updated_at: { type: 'string', format: 'date-time' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true },
+          cover_url: { type: 'string', nullable: true, description: 'Photo de couverture (listes)' },
+          etag: { type: 'string', description: 'ETag de la version, à renvoyer dans If-Match (listes)' },
+        },
+      },
+    ],
+  },
+  CarPatch: {
+    type: 'object',
+    description: 'Champs à modifier uniquement (mêmes règles que CarInput)',
+    properties: carInputSchema().properties,
+  },
+  Photo: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      url: { type: 'string', example: '/uploads/3f9c1b2a.jpg' },
+      original_name: { type: 'string' },
+      mime_type: { type: 'string', enum: Object.keys(PHOTO_TYPES) },
+      size: { type: 'integer' },
+      position: { type: 'integer' },
+      is_cover: { type: 'boolean' },
+      created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+      actor: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['api_key', 'user'] },
+          id: { type: 'integer' },
+          label: { type: 'string' },
+        },
+      },
+      changes: { type: 'object', additionalProperties: { type: 'object', properties: { from: {}, to: {} } } },
+      created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      label: { type: 'string' },
+      prefix: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+      expires_at: { type: 'string', format: 'date-time', nullable: true },
+      revoked_at: { type: 'string', format: 'date-time', nullable: true },
+      last_used_at: { type: 'string', format: 'date-time', nullable: true },
+      created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ROLES },
+    },
+  },
+  Quartiles: {
+    type: 'object',
+    nullable: true,
+    properties: Object.fromEntries(['count', 'min', 'q1', 'median', 'q3', 'max'].map((key) => [key, { type: 'number' }])),
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      dryRun: { type: 'boolean' },
+      total: { type: 'integer' },
+      accepted: { type: 'integer' },
+      rejected: { type: 'integer' },
+      imported: { type: 'integer' },
+      report: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            line: { type: 'integer' },
+            status: { type: 'string', enum: ['accepted', 'rejected'] },
+            errors: { type: 'array', items: ref('FieldError') },
+            data: ref('CarInput'),
+          },
+        },
+      },
+    },
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string' },
+      code: { type: 'string', enum: ['required', 'invalid_type', 'too_long', 'too_small', 'too_large'] },
+      message: { type: 'string' },
+    },
+  },
+  Problem: {
+    type: 'object',
+    required: ['type', 'title', 'status', 'code'],
+    properties: {
+      type: { type: 'string', description: 'Identifiant stable du problème', example: 'urn:tp2:problem:car_not_found' },
+      title: { type: 'string', description: 'Nature de l\'erreur (traduite)' },
+      status: { type: 'integer', description: 'Statut HTTP' },
+      detail: { type: 'string', description: 'Explication lisible (traduite)' },
+      instance: { type: 'string', description: 'URL de la requête en erreur' },
+      code: { type: 'string', description: 'Code stable, identique dans toutes les langues (ex : car_not_found)' },
+      request_id: { type: 'string', description: 'Identifiant de la requête (header X-Request-Id), repris dans les journaux' },
+      errors: { type: 'array', items: ref('FieldError'), description: 'Erreurs champ par champ (400)' },
+    },
+  },
+};
+
+const errorDescriptions = {
+  400: 'Données ou paramètres invalides',
+  401: 'Authentification requise (clé API ou session)',
+  403: 'Portée ou rôle insuffisant',
+  404: 'Ressource non trouvée',
+  409: 'Conflit avec une ressource existante',
+  412: 'La voiture a changé depuis sa lecture (data : version actuelle)',
+  413: 'Corps de requête ou fichier trop volumineux',
+  429: 'Trop de requêtes (voir Retry-After)',
+  500: 'Erreur serveur',
+};
+
+const responses = Object.fromEntries(Object.entries(errorDescriptions).map(([status, description]) => [
+  `Error${status}`,
+  {
+    description,
+    content: {
+      'application/problem+json': {
+        schema: status === '412'
+          ? { allOf: [ref('Problem'), { type: 'object', properties: { data: ref('Car') } }] }
+          : ref('Problem'),
+      },
+    },
+  },
+]));
+
+// Sécurité des routes protégées : portée exigée (clé API) ou rôle équivalent (session)
+const secured = (scope) => ({
+  security: [{ apiKey: [] }, { sessionCookie: [] }, { bearerAuth: [] }],
+  'x-required-scope': scope,
+});
+
+const CAR_ID = { type: 'object', properties: { id: { type: 'integer' } } };
+
+const carResponse = (description, status = 200) => ({
+  [status]: { ...success(description, ref('Car')), headers: ETAG_HEADER },
+});
+const photosResponse = (description, status = 200) => ({
+  [status]: success(description, { type: 'array', items: ref('Photo') }, { count: { type: 'integer' } }),
+});
+const carListResponse = (description) => ({
+  200: success(description, { type: 'array', items: ref('Car') }, PAGINATION_PROPERTIES),
+});
+
+const paths = {
+  '/api/auth/login': {
+    post: {
+      tags: ['Authentification'],
+      summary: 'Ouvrir une session',
+      description: 'Pose le cookie HttpOnly "session" et renvoie aussi le jeton (Authorization: Bearer). '
+        + 'Tentatives limitées par adresse IP et par email (429 au-delà).',
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['email', 'password'],
+          properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' } },
+        }),
+      },
+      responses: {
+        200: success('Connexion réussie', {
+          type: 'object',
+          properties: { user: ref('User'), token: { type: 'string' }, expiresIn: { type: 'integer' } },
+        }),
+        ...errors(400, 401, 429, 500),
+      },
+    },
+  },
+  '/api/auth/logout': {
+    post: {
+      tags: ['Authentification'],
+      summary: 'Fermer la session',
+      responses: { 200: success('Déconnexion réussie') },
+    },
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Authentification'],
+      summary: 'Utilisateur (ou clé API) authentifié',
+      ...secured('cars:read'),
+      responses: { 200: success('Utilisateur connecté', ref('User')), ...errors(401, 403) },
+    },
+  },
+  '/api/cars': {
+    get: {
+      tags: ['Voitures'],
+      summary: 'Lister les voitures (filtres, tri, pagination)',
+      ...secured('cars:read'),
+      parameters: [...LIST_PARAMETERS, paramRef('IfNoneMatch')],
+      responses: { ...carListResponse('Liste des voitures'), 304: { description: 'Liste inchangée' }, ...errors(400, 401, 403, 429, 500) },
+    },
+    post: {
+      tags: ['Voitures'],
+      summary: 'Créer une voiture',
+      ...secured('cars:write'),
+      requestBody: { required: true, content: json(ref('CarInput')) },
+      responses: { ...carResponse('Voiture créée', 201), ...errors(400, 401, 403, 429, 500) },
+    },
+  },
+  '/api/cars/search': {
+    get: {
+      tags: ['Voitures'],
+      summary: 'Recherche plein texte, triée par pertinence',
+      ...secured('cars:read'),
+      parameters: [{ ...parameters.Q, required: true }, paramRef('Limit')],
+      responses: {
+        200: success('Résultats de la recherche', {
+          type: 'array',
+          items: {
+            allOf: [ref('Car'), {
+              type: 'object',
+              properties: {
+                snippet: {
+                  type: 'string',
+                  description: 'Extrait de la description : termes trouvés entre U+E000 et U+E001 '
+                    + '(texte brut, à échapper avant affichage)',
+                },
+                rank: { type: 'number' },
+              },
+            }],
+          },
+        }, { query: { type: 'string' }, count: { type: 'integer' } }),
+        ...errors(400, 401, 403, 429, 500),
+      },
+    },
+  },
+  '/api/cars/trash': {
+    get: {
+      tags: ['Corbeille'],
+      summary: 'Lister les voitures supprimées',
+      ...secured('cars:read'),
+      parameters: LIST_PARAMETERS,
+      responses: { ...carListResponse('Corbeille'), ...errors(400, 401, 403, 429, 500) },
+    },
+  },
+  '/api/cars/export': {
+    get: {
+      tags: ['Import / export'],
+      summary: 'Exporter les voitures (fichier à télécharger)',
+      ...secured('cars:read'),
+      parameters: [
+        { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'json', 'ndjson'], default: 'csv' } },
+        ...FILTER_PARAMETERS,
+        paramRef('Sort'),
+      ],
+      responses: {
+        200: {
+          description: 'Fichier voitures-AAAA-MM-JJ.<format>',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': { schema: { type: 'array', items: ref('Car') } },
+            'application/x-ndjson': { schema: { type: 'string' } },
+          },
+        },
+        ...errors(400, 401, 403, 429, 500),
+      },
+    },
+  },
+  '/api/cars/stats': {
+    get: {
+      tags: ['Voitures'],
+      summary: 'Statistiques de la collection',
+      ...secured('cars:read'),
+      parameters: FILTER_PARAMETERS,
+      responses: {
+        200: success('Statistiques de la collection', {
+          type: 'object',
+          properties: {
+            count: { type: 'integer' },
+            valued: { type: 'integer', description: 'Voitures dont le prix est renseigné' },
+            total_value: { type: 'number' },
+            average_value: { type: 'number', nullable: true },
+            by_brand: { type: 'array', items: { type: 'object' } },
+            by_decade: { type: 'array', items: { type: 'object' } },
+            price: ref('Quartiles'),
+            mileage: ref('Quartiles'),
+            most_valuable: { type: 'array', items: ref('Car') },
+            least_valuable: { type: 'array', items: ref('Car') },
+          },
+        }),
+        ...errors(400, 401, 403, 429, 500),
+      },
+    },
+  },
+  '/api/cars/events': {
+    get: {
+      tags: ['Voitures'],
+      summary: 'Flux des modifications (Server-Sent Events)',
+      description: 'Événements car.created (création, restauration ou import), '
+        + 'car.updated (modification ou changement de photo de couverture) et car.deleted, '
+        + 'dont data vaut { id, car, etag, client_id } (client_id : header X-Client-Id de l\'auteur). '
+        + 'Avec Last-Event-ID, les événements manqués sont renvoyés ; s\'ils ne sont plus disponibles, '
+        + 'un événement "resync" demande de tout recharger.',
+      ...secured('cars:read'),
+      parameters: [
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'integer' }, description: 'Dernier événement reçu' },
+        { name: 'lastEventId', in: 'query', schema: { type: 'integer' }, description: 'Équivalent de Last-Event-ID' },
+      ],
+      responses: {
+        200: {
+          description: 'Flux text/event-stream (connexion maintenue ouverte)',
+          content: { 'text/event-stream': { schema: { type: 'string' } } },
+        },
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/cars/import': {
+    post: {
+      tags: ['Import / export'],
+      summary: 'Importer des voitures (tout ou rien)',
+      ...secured('cars:write'),
+      parameters: [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' }, description: 'Valider sans enregistrer' }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: { type: 'array', items: ref('CarInput') } },
+          'text/csv': { schema: { type: 'string' } },
+        },
+      },
+      responses: {
+        200: { description: 'Simulation ou aucune ligne valide', content: json(ref('ImportReport')) },
+        201: { description: 'Voitures importées', content: json(ref('ImportReport')) },
+        ...errors(400, 401, 403, 413, 429, 500),
+      },
+    },
+  },
+  '/api/cars/{id}': {
+    parameters: [paramRef('CarId')],
+    get: {
+      tags: ['Voitures'],
+      summary: 'Détails d\'une voiture',
+      ...secured('cars:read'),
+      parameters: [paramRef('IfNoneMatch')],
+      responses: { ...carResponse('Voiture trouvée'), 304: { description: 'Version inchangée' }, ...errors(401, 403, 404, 429, 500) },
+    },
+    put: {
+      tags: ['Voitures'],
+      summary: 'Remplacer une voiture',
+      ...secured('cars:write'),
+      parameters: [paramRef('IfMatch')],
+      requestBody: { required: true, content: json(ref('CarInput')) },
+      responses: { ...carResponse('Voiture mise à jour'), ...errors(400, 401, 403, 404, 412, 429, 500) },
+    },
+    patch: {
+      tags: ['Voitures'],
+      summary: 'Modifier certains champs d\'une voiture',
+      ...secured('cars:write'),
+      parameters: [paramRef('IfMatch')],
+      requestBody: { required: true, content: json(ref('CarPatch')) },
+      responses: { ...carResponse('Voiture mise à jour'), ...errors(400, 401, 403, 404, 412, 429, 500) },
+    },
+    delete: {
+      tags: ['Corbeille'],
+      summary: 'Placer une voiture dans la corbeille',
+      ...secured('cars:write'),
+      parameters: [paramRef('IfMatch')],
+      responses: { 200: success('Voiture placée dans la corbeille', CAR_ID), ...errors(401, 403, 404, 412, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/restore': {
+    parameters: [paramRef('CarId')],
+    post: {
+      tags: ['Corbeille'],
+      summary: 'Restaurer une voiture de la corbeille',
+      ...secured('cars:write'),
+      responses: { ...carResponse('Voiture restaurée'), ...errors(401, 403, 404, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/purge': {
+    parameters: [paramRef('CarId')],
+    delete: {
+      tags: ['Corbeille'],
+      summary: 'Supprimer définitivement une voiture de la corbeille (photos comprises)',
+      ...secured('admin'),
+      responses: { 200: success('Voiture supprimée définitivement', CAR_ID), ...errors(401, 403, 404, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/history': {
+    parameters: [paramRef('CarId')],
+    get: {
+      tags: ['Historique'],
+      summary: 'Historique des modifications d\'une voiture',
+      ...secured('cars:read'),
+      responses: {
+        200: success('Historique de la voiture', { type: 'array', items: ref('AuditEntry') }, { count: { type: 'integer' } }),
+        ...errors(401, 403, 404, 429, 500),
+      },
+    },
+  },
+  '/api/cars/{id}/photos': {
+    parameters: [paramRef('CarId')],
+    get: {
+      tags: ['Photos'],
+      summary: 'Photos d\'une voiture (ordre de la galerie)',
+      ...secured('cars:read'),
+      responses: { ...photosResponse('Photos de la voiture'), ...errors(401, 403, 404, 429, 500) },
+    },
+    post: {
+      tags: ['Photos'],
+      summary: 'Ajouter des photos',
+      description: `${MAX_PHOTOS_PER_UPLOAD} fichiers maximum, ${Math.round(MAX_PHOTO_SIZE / 1024 / 1024)} Mo par fichier. `
+        + 'La première photo d\'une voiture devient sa couverture.',
+      ...secured('cars:write'),
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: { photos: { type: 'array', items: { type: 'string', format: 'binary' } } },
+            },
+          },
+        },
+      },
+      responses: { ...photosResponse('Photos ajoutées', 201), ...errors(400, 401, 403, 404, 413, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/photos/order': {
+    parameters: [paramRef('CarId')],
+    put: {
+      tags: ['Photos'],
+      summary: 'Réordonner les photos',
+      ...secured('cars:write'),
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['order'],
+          properties: { order: { type: 'array', items: { type: 'integer' }, description: 'Toutes les photos, une fois chacune' } },
+        }),
+      },
+      responses: { ...photosResponse('Ordre des photos mis à jour'), ...errors(400, 401, 403, 404, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/photos/{photoId}/cover': {
+    parameters: [paramRef('CarId'), paramRef('PhotoId')],
+    put: {
+      tags: ['Photos'],
+      summary: 'Choisir la photo de couverture',
+      ...secured('cars:write'),
+      responses: { ...photosResponse('Photo de couverture mise à jour'), ...errors(401, 403, 404, 429, 500) },
+    },
+  },
+  '/api/cars/{id}/photos/{photoId}': {
+    parameters: [paramRef('CarId'), paramRef('PhotoId')],
+    delete: {
+      tags: ['Photos'],
+      summary: 'Supprimer une photo',
+      ...secured('cars:write'),
+      responses: { ...photosResponse('Photo supprimée'), ...errors(401, 403, 404, 429, 500) },
+    },
+  },
+  '/api/audit': {
+    get: {
+      tags: ['Historique'],
+      summary: 'Journal global des modifications',
+      ...secured('admin'),
+      parameters: [
+        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'actor', in: 'query', schema: { type: 'string' }, description: 'Libellé de la clé ou email' },
+        { name: 'actorType', in: 'query', schema: { type: 'string', enum: ['api_key', 'user'] } },
+        { name: 'action', in: 'query', schema: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] } },
+        { name: 'carId', in: 'query', schema: { type: 'integer' } },
+        paramRef('Page'),
+        paramRef('Limit'),
+      ],
+      responses: {
+        200: success('Journal des modifications', { type: 'array', items: ref('AuditEntry') }, PAGINATION_PROPERTIES),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  '/api/keys': {
+    get: {
+      tags: ['Clés API'],
+      summary: 'Lister les clés API',
+      ...secured('admin'),
+      responses: {
+        200: success('Liste des clés API', { type: 'array', items: ref('ApiKey') }, { count: { type: 'integer' } }),
+        ...errors(401, 403, 500),
+      },
+    },
+    post: {
+      tags: ['Clés API'],
+      summary: 'Créer une clé API (la clé en clair n\'est renvoyée qu\'une fois)',
+      ...secured('admin'),
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['label', 'scopes'],
+          properties: {
+            label: { type: 'string', maxLength: 100 },
+            scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+            expiresAt: { type: 'string', format: 'date-time' },
+          },
+        }),
+      },
+      responses: {
+        201: success('Clé API créée', { allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }] }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  '/api/keys/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' }, description: 'ID de la clé' }],
+    delete: {
+      tags: ['Clés API'],
+      summary: 'Révoquer une clé API',
+      ...secured('admin'),
+      responses: { 200: success('Clé API révoquée', ref('ApiKey')), ...errors(401, 403, 404, 500) },
+    },
+  },
+};
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'API de gestion de voitures classiques',
+    version,
+    description: 'Portées des clés API : cars:read (lecture), cars:write (écriture), admin. '
+      + 'Les sessions de l\'interface web ont les portées de leur rôle (viewer, editor, admin). '
+      + `Langue des messages : paramètre ?lang= ou header Accept-Language (${SUPPORTED_LANGUAGES.join(', ')} ; `
+      + 'français par défaut) ; les codes d\'erreur (champ code) ne changent pas avec la langue.',
+  },
+  servers: [{ url: '/' }],
+  tags: ['Authentification', 'Voitures', 'Corbeille', 'Historique', 'Photos', 'Import / export', 'Clés API']
+    .map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' },
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Jeton renvoyé par POST /api/auth/login' },
+    },
+    parameters,
+    schemas,
+    responses,
+  },
+};
+
+// Liste "MÉTHODE /chemin" des opérations décrites (chemins au format Express : /api/cars/:id)
+function listSpecOperations(spec = openApiSpec) {
+  return Object.entries(spec.paths).flatMap(([path, item]) => Object.keys(item)
+    .filter((method) => method !== 'parameters')
+    .map((method) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`));
+}
+
+module.exports = {
+  openApiSpec,
+  listSpecOperations,
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { logger, serializeError } = require('./logger');
+
+// Dossier de stockage des photos (servi en statique sous /uploads)
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOADS_URL = '/uploads';
+
+// Types acceptés : type MIME => extension du fichier enregistré
+const PHOTO_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+
+const MAX_PHOTO_SIZE = Number(process.env.MAX_PHOTO_SIZE) || 5 * 1024 * 1024; // 5 Mo
+const MAX_PHOTOS_PER_UPLOAD = 10;
+
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+// Nom de fichier aléatoire : le nom d'origine n'est jamais utilisé sur le disque
+const storage = multer.diskStorage({
+  destination: UPLOADS_DIR,
+  filename: (req, file, callback) => {
+    callback(null, `${req.params.id}-${crypto.randomBytes(12).toString('hex')}${PHOTO_TYPES[file.mimetype]}`);
+  },
+});
+
+// Middleware multer : champ "photos" (plusieurs fichiers), type et taille vérifiés
+const uploadPhotos = multer({
+  storage,
+  limits: { fileSize: MAX_PHOTO_SIZE, files: MAX_PHOTOS_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!PHOTO_TYPES[file.mimetype]) {
+      // Code propre à l'application : le message est traduit par le contrôleur (photos.invalid_type)
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.code = 'INVALID_FILE_TYPE';
+      error.filename = file.originalname;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+/**
+ * Vérifie la signature binaire du fichier (le type MIME envoyé par le client n'est pas fiable)
+ * @param {string} filePath - Chemin du fichier enregistré
+ * @param {string} mimeType - Type annoncé
+ * @returns {boolean} true si le contenu correspond au type annoncé
+ */
+function hasImageSignature(filePath, mimeType) {
+  const header = Buffer.alloc(12);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  switch (mimeType) {
+    case 'image/jpeg':
+      return header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff;
+    case 'image/png':
+      return header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    case 'image/webp':
+      return header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Supprime des fichiers du dossier uploads (les fichiers déjà absents sont ignorés)
+ * @param {Array<string>} filenames - Noms des fichiers
+ */
+function removePhotoFiles(filenames) {
+  filenames.forEach((filename) => {
+    fs.rm(path.join(UPLOADS_DIR, path.basename(filename)), { force: true }, (err) => {
+      if (err) logger.error('Erreur lors de la suppression de la photo', { filename, error: serializeError(err) });
+    });
+  });
+}
+
+/**
+ * URL publique d'une photo
+ * @param {string|null} filename - Nom du fichier
+ * @returns {string|null}
+ */
+function photoUrl(filename) {
+  return filename ? `${UPLOADS_URL}/${filename}` : null;
+}
+
+// Colonne SQL de la photo de couverture d'une voiture (miniature des listes), convertie en URL par withCoverUrl
+const COVER_PHOTO_COLUMN = '(SELECT filename FROM car_photos WHERE car_id = cars.id AND is_cover = 1) AS cover_photo';
+
+/**
+ * Remplace la colonne cover_photo d'une voiture par l'URL de la photo (cover_url)
+ * @param {Object} car - Ligne lue avec COVER_PHOTO_COLUMN
+ * @returns {Object}
+ */
+function withCoverUrl({ cover_photo: coverPhoto, ...car }) {
+  return { ...car, cover_url: photoUrl(coverPhoto) };
+}
+
+/**
+ * Convertit une ligne de car_photos pour la réponse de l'API
+ * @param {Object} row - Ligne de la table car_photos
+ * @returns {Object}
+ */
+function formatPhoto(row) {
+  return {
+    id: row.id,
+    car_id: row.car_id,
+    url: photoUrl(row.filename),
+    original_name: row.original_name,
+    mime_type: row.mime_type,
+    size: row.size,
+    position: row.position,
+    is_cover: Boolean(row.is_cover),
+    created_at: row.created_at,
+  };
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  UPLOADS_URL,
+  PHOTO_TYPES,
+  MAX_PHOTO_SIZE,
+  MAX_PHOTOS_PER_UPLOAD,
+  uploadPhotos,
+  hasImageSignature,
+  removePhotoFiles,
+  photoUrl,
+  COVER_PHOTO_COLUMN,
+  withCoverUrl,
+  formatPhoto,
+};
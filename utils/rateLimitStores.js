@@ -0,0 +1,87 @@
+const { run, get } = require('../database');
+
+// Stockages des compteurs du limiteur de débit (fenêtre fixe).
+// Un stockage expose increment(key, windowMs, callback) et appelle
+// callback(err, { count, resetAt }) : count = requêtes dans la fenêtre, resetAt = fin de la fenêtre (ms).
+
+/**
+ * Stockage en mémoire (par défaut) : rapide, remis à zéro au redémarrage
+ * @returns {{ increment: Function }}
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  // Purge régulière des fenêtres expirées pour ne pas accumuler de clés
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    increment(key, windowMs, callback) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += 1;
+      callback(null, { count: counter.count, resetAt: counter.resetAt });
+    },
+  };
+}
+
+/**
+ * Stockage SQLite (table rate_limits) : les compteurs survivent aux redémarrages
+ * @returns {{ increment: Function }}
+ */
+function createSqliteStore() {
+  // Incrément atomique : une nouvelle fenêtre commence si la précédente est terminée
+  const query = `
+    INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+      reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+    RETURNING count, reset_at
+  `;
+
+  // Purge régulière des fenêtres expirées
+  const cleanup = setInterval(() => {
+    run('DELETE FROM rate_limits WHERE reset_at <= ?', [Date.now()]).catch(() => {});
+  }, 10 * 60 * 1000);
+  cleanup.unref();
+
+  return {
+    increment(key, windowMs, callback) {
+      const now = Date.now();
+
+      // Requête du module database : elle attend la fin d'une transaction en cours (import)
+      get(query, [key, now + windowMs, now, now]).then(
+        (row) => callback(null, { count: row.count, resetAt: row.reset_at }),
+        (err) => callback(err),
+      );
+    },
+  };
+}
+
+/**
+ * Crée le stockage choisi par son nom
+ * @param {string} [name='memory'] - memory ou sqlite
+ * @returns {{ increment: Function }}
+ */
+function createStore(name = 'memory') {
+  if (name === 'sqlite') return createSqliteStore();
+  if (name === 'memory') return createMemoryStore();
+  throw new Error(`Stockage de limitation inconnu : ${name} (memory ou sqlite)`);
+}
+
+module.exports = {
+  createMemoryStore,
+  createSqliteStore,
+  createStore,
+};
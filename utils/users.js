@@ -0,0 +1,59 @@
+const { run, get } = require('../database');
+const { hashPassword } = require('./auth');
+
+/**
+ * Convertit une ligne de la table users pour l'affichage (sans le mot de passe)
+ * @param {Object} row - Ligne de la table users
+ * @returns {Object}
+ */
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Enregistre un utilisateur en base
+ * @param {Object} options
+ * @param {string} options.email
+ * @param {string} options.password - Mot de passe en clair (haché avant l'enregistrement)
+ * @param {string} options.role - viewer, editor ou admin
+ * @returns {Promise<Object>} Utilisateur créé
+ */
+async function createUser({ email, password, role }) {
+  const passwordHash = await hashPassword(password);
+  const { lastID } = await run(
+    'INSERT INTO users (email, password_hash, role) VALUES (?, ?, ?)',
+    [email, passwordHash, role],
+  );
+  const row = await get('SELECT * FROM users WHERE id = ?', [lastID]);
+  return formatUser(row);
+}
+
+/**
+ * Crée le premier administrateur à partir de ADMIN_EMAIL et ADMIN_PASSWORD
+ * si la table users est vide
+ * @returns {Promise<void>}
+ */
+async function ensureAdminUser() {
+  const { count } = await get('SELECT COUNT(*) AS count FROM users');
+  if (count > 0) return;
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.log('👤 Aucun utilisateur : créez-en un avec npm run users:create');
+    return;
+  }
+
+  await createUser({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD, role: 'admin' });
+  console.log(`👤 Administrateur ${ADMIN_EMAIL} créé`);
+}
+
+module.exports = {
+  formatUser,
+  createUser,
+  ensureAdminUser,
+};
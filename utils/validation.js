@@ -0,0 +1,131 @@
+// Validation déclarative des données reçues par l'API
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+/**
+ * Codes d'erreur renvoyés au client (stables, exploitables par un programme)
+ */
+const ERROR_CODES = {
+  REQUIRED: 'required',
+  INVALID_TYPE: 'invalid_type',
+  TOO_LONG: 'too_long',
+  TOO_SMALL: 'too_small',
+  TOO_LARGE: 'too_large',
+};
+
+// Une borne peut être une valeur fixe ou une fonction (ex : année courante)
+function resolveBound(bound) {
+  return typeof bound === 'function' ? bound() : bound;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function hasExpectedType(value, type) {
+  if (type === 'string') return typeof value === 'string';
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return false;
+}
+
+// Erreur d'un champ : code stable et message traduit (catalogue validation.<code>)
+function fieldError(lang, field, code, params = {}) {
+  return { field, code, message: translate(lang, `validation.${code}`, { field, ...params }) };
+}
+
+/**
+ * Valide une valeur selon la règle d'un champ
+ * @returns {Object|null} Erreur { field, code, message } ou null si la valeur est valide
+ */
+function validateField(field, rule, value, lang) {
+  if (isEmpty(value)) {
+    if (rule.required) {
+      return fieldError(lang, field, ERROR_CODES.REQUIRED);
+    }
+    return null;
+  }
+
+  if (!hasExpectedType(value, rule.type)) {
+    return fieldError(lang, field, ERROR_CODES.INVALID_TYPE, {
+      type: translate(lang, `validation.types.${rule.type}`),
+    });
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fieldError(lang, field, ERROR_CODES.TOO_LONG, { max: rule.maxLength });
+  }
+
+  const min = resolveBound(rule.min);
+  if (min !== undefined && value < min) {
+    return fieldError(lang, field, ERROR_CODES.TOO_SMALL, { min });
+  }
+
+  const max = resolveBound(rule.max);
+  if (max !== undefined && value > max) {
+    return fieldError(lang, field, ERROR_CODES.TOO_LARGE, { max });
+  }
+
+  return null;
+}
+
+/**
+ * Valide un objet selon un schéma déclaratif
+ * Les champs absents du schéma sont ignorés, les champs optionnels vides valent null.
+ * En mode partiel (PATCH), seuls les champs présents dans data sont validés et renvoyés.
+ * @param {Object} schema - { champ: { type, required, min, max, maxLength } }
+ * @param {Object} data - Données à valider (ex : req.body)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Ne valider que les champs fournis
+ * @param {string} [options.lang='fr'] - Langue des messages d'erreur (req.lang)
+ * @returns {{ value: Object, errors: Array<{ field: string, code: string, message: string }> }}
+ */
+function validate(schema, data, { partial = false, lang = DEFAULT_LANGUAGE } = {}) {
+  const source = data && typeof data === 'object' ? data : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (partial && !Object.prototype.hasOwnProperty.call(source, field)) return;
+
+    const error = validateField(field, rule, source[field], lang);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    value[field] = isEmpty(source[field]) ? null : source[field];
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Convertit les valeurs texte (cellules CSV) vers les types du schéma avant validation.
+ * Une valeur non convertible est laissée telle quelle pour que validate() la signale.
+ * @param {Object} schema - Schéma déclaratif
+ * @param {Object} record - { champ: 'texte' }
+ * @returns {Object} Enregistrement converti
+ */
+function coerce(schema, record) {
+  return Object.entries(schema).reduce((result, [field, rule]) => {
+    const raw = record[field];
+    if (raw === undefined) return result;
+
+    const text = String(raw).trim();
+    if (text === '') {
+      result[field] = null;
+    } else if (rule.type === 'number' || rule.type === 'integer') {
+      // Accepte la virgule décimale et les espaces de milliers (format français)
+      const normalized = text.replace(/[\s\u00a0\u202f]/g, '').replace(',', '.');
+      result[field] = /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : text;
+    } else {
+      result[field] = text;
+    }
+    return result;
+  }, {});
+}
+
+module.exports = {
+  ERROR_CODES,
+  validate,
+  coerce,
+};